@@ -0,0 +1,107 @@
+// Admin-provisioned configuration for managed installs (e.g. a whole school): a system-wide JSON
+// file plus LIFE_SYNC_* environment variables, which win over the file. Example config.json:
+//   { "server": "https://cloud.schule.de", "localRoot": "~/Nextcloud", "exclude": ["*.iso", "Videos/"],
+//     "folders": ["Unterricht"], "locked": ["server", "localRoot"] }
+// server/localRoot are presets (the login form and the settings), exclude is always enforced,
+// folders is the initial selection of a new pair. Keys in "locked" can't be changed by the user.
+// Only parsing and validation here; index.js reads the file and enforces the values.
+import os from 'os'
+import path from 'path'
+
+export const LOCKABLE = ['server', 'localRoot', 'folders']
+
+// Where the system-wide file lives; LIFE_SYNC_CONFIG points elsewhere (e.g. for testing).
+export function adminConfigPath(env = process.env, platform = process.platform) {
+  if (env.LIFE_SYNC_CONFIG) return env.LIFE_SYNC_CONFIG
+  if (platform === 'win32') return path.join(env.ProgramData || 'C:\\ProgramData', 'life-nextcloud-sync', 'config.json')
+  if (platform === 'darwin') return '/Library/Application Support/life-nextcloud-sync/config.json'
+  return '/etc/life-nextcloud-sync/config.json'
+}
+
+function isStringList(v) {
+  return Array.isArray(v) && v.every((item) => typeof item === 'string')
+}
+
+// Per key: raw value → { value } or { error } (German, shown to the user as is).
+const FIELDS = {
+  server(v) {
+    const value = typeof v === 'string' ? v.trim().replace(/\/+$/, '') : ''
+    try {
+      if (['http:', 'https:'].includes(new URL(value).protocol)) return { value }
+    } catch { /* Not a URL */ }
+    return { error: 'muss eine http(s)-Adresse sein, z. B. "https://cloud.schule.de"' }
+  },
+  localRoot(v) {
+    const value = typeof v === 'string' ? v.trim().replace(/^~(?=$|[\\/])/, os.homedir()) : ''
+    return path.isAbsolute(value) ? { value: path.normalize(value) } : { error: 'muss ein absoluter Pfad sein (oder mit ~ beginnen)' }
+  },
+  exclude(v) {
+    return isStringList(v) ? { value: v.map((p) => p.trim()).filter(Boolean) } : { error: 'muss eine Liste von Mustern sein, z. B. ["*.iso", "Videos/"]' }
+  },
+  folders(v) {
+    if (!isStringList(v)) return { error: 'muss eine Liste von Ordnern sein, z. B. ["Unterricht"]' }
+    const value = v.map((p) => p.replace(/\\/g, '/').split('/').filter((part) => part && part !== '.' && part !== '..').join('/')).filter(Boolean)
+    return { value: [...new Set(value)] }
+  },
+  locked(v) {
+    if (!isStringList(v) || !v.every((key) => LOCKABLE.includes(key))) return { error: `darf nur ${LOCKABLE.map((k) => `"${k}"`).join(', ')} enthalten` }
+    return { value: [...new Set(v)] }
+  }
+}
+
+// Validate one layer. Invalid or unknown keys are reported and left out; the rest still applies.
+export function validateAdminConfig(data, source) {
+  const config = {}
+  const errors = []
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { config, errors: [`${source}: erwartet wird ein JSON-Objekt { … }`] }
+  }
+  for (const [key, raw] of Object.entries(data)) {
+    const check = FIELDS[key]
+    if (!check) { errors.push(`${source}: unbekannter Schlüssel "${key}" (erlaubt: ${Object.keys(FIELDS).join(', ')})`); continue }
+    const result = check(raw)
+    if ('error' in result) errors.push(`${source}: "${key}" ${result.error}`)
+    else config[key] = result.value
+  }
+  return { config, errors }
+}
+
+export function parseAdminConfig(text, source) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (e) {
+    return { config: {}, errors: [`${source}: kein gültiges JSON (${e.message})`] }
+  }
+  return validateAdminConfig(data, source)
+}
+
+// LIFE_SYNC_SERVER, LIFE_SYNC_LOCAL_ROOT, LIFE_SYNC_EXCLUDE, LIFE_SYNC_FOLDERS and LIFE_SYNC_LOCKED;
+// lists are separated by ";" or line breaks.
+const ENV_KEYS = { server: 'LIFE_SYNC_SERVER', localRoot: 'LIFE_SYNC_LOCAL_ROOT', exclude: 'LIFE_SYNC_EXCLUDE', folders: 'LIFE_SYNC_FOLDERS', locked: 'LIFE_SYNC_LOCKED' }
+const LIST_KEYS = new Set(['exclude', 'folders', 'locked'])
+
+export function adminConfigFromEnv(env = process.env) {
+  const config = {}
+  const errors = []
+  for (const [key, name] of Object.entries(ENV_KEYS)) {
+    if (env[name] === undefined) continue
+    const raw = LIST_KEYS.has(key) ? env[name].split(/[;\r\n]+/).map((s) => s.trim()).filter(Boolean) : env[name]
+    const layer = validateAdminConfig({ [key]: raw }, `Umgebungsvariable ${name}`)
+    Object.assign(config, layer.config)
+    errors.push(...layer.errors)
+  }
+  return { config, errors }
+}
+
+// Later layers win per key. A lock without a value to enforce is dropped with an error.
+export function mergeAdminConfig(layers) {
+  const config = Object.assign({}, ...layers.map((layer) => layer.config))
+  const errors = layers.flatMap((layer) => layer.errors)
+  if (config.locked) {
+    const missing = config.locked.filter((key) => config[key] === undefined)
+    for (const key of missing) errors.push(`"${key}" ist gesperrt, aber nicht gesetzt – Sperre ignoriert`)
+    config.locked = config.locked.filter((key) => config[key] !== undefined)
+  }
+  return { config, errors }
+}
@@ -0,0 +1,76 @@
+// Command line of the headless mode, for exam machines and login/logout scripts:
+//   life-nextcloud-sync --sync-down --server https://cloud.schule.de --user max
+// Without one of the sync actions the app starts with its window as usual.
+// Only parsing here; index.js runs the sync (see runCli). No Electron imports.
+
+export const CLI_ACTIONS = { '--sync': 'sync', '--sync-down': 'down', '--sync-up': 'up' }
+
+export const EXIT_CODES = {
+  ok: 0, // Synced, nothing failed
+  failed: 1, // Ran, but files failed or the run ended with an error
+  usage: 2, // Bad command line
+  login: 3, // Login rejected or no password available
+  offline: 4, // Server unreachable
+  cancelled: 5, // SIGINT / SIGTERM
+  busy: 6 // The app is already running (window or another headless run)
+}
+
+const VALUE_OPTIONS = { '--server': 'server', '--user': 'user', '--remote-base': 'remoteBase', '--local': 'localRoot', '--password-file': 'passwordFile', '--folders': 'folders' }
+const FLAG_OPTIONS = { '--yes': 'yes', '--help': 'help' }
+const FOREIGN_OPTIONS = new Set(['--no-sandbox']) // Passed through to Chromium (e.g. AppImage in containers)
+
+export const CLI_USAGE = `Usage: life-nextcloud-sync (--sync | --sync-down | --sync-up) --user NAME [options]
+
+Actions:
+  --sync               two-way sync
+  --sync-down          server → local only
+  --sync-up            local → server only
+
+Options:
+  --server URL         Nextcloud server (default: the configured preset)
+  --user NAME          account name
+  --remote-base PATH   sync only this server folder of the account
+  --local PATH         local folder for a new account
+  --folders A;B        sync only these folders in this run (default: the saved selection)
+  --password-file FILE read the (app) password from FILE; also LIFE_SYNC_PASSWORD,
+                       otherwise the login stored with "Angemeldet bleiben" is used
+  --yes                allow deletions that would ask for confirmation in the window
+  --help               show this help
+
+stdout: one JSON object per line (events as the window gets them, last {"event":"exit",…}),
+stderr: log. Exit codes: ${Object.entries(EXIT_CODES).map(([name, code]) => `${code} ${name}`).join(', ')}
+`
+
+// argv → null for a normal (window) start, else the options of a headless run. Problems end up in
+// options.error rather than being thrown, so the caller can print them with the usage text.
+export function parseCliArgs(argv) {
+  const options = { action: null, yes: false, help: false, error: null }
+  const errors = []
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2) // "--server=https://…" works too
+    if (!flag.startsWith('--')) continue // Executable, app path ("electron .")
+    if (CLI_ACTIONS[flag]) {
+      if (options.action) errors.push('Nur eine Aktion auf einmal (--sync, --sync-down oder --sync-up)')
+      options.action = CLI_ACTIONS[flag]
+    } else if (FLAG_OPTIONS[flag]) {
+      options[FLAG_OPTIONS[flag]] = true
+    } else if (VALUE_OPTIONS[flag]) {
+      const value = inline ?? argv[++i]
+      if (value === undefined || (inline === undefined && value.startsWith('--'))) errors.push(`${flag} braucht einen Wert`)
+      else options[VALUE_OPTIONS[flag]] = value
+    } else if (!FOREIGN_OPTIONS.has(flag)) {
+      errors.push(`Unbekannte Option ${flag}`)
+    }
+  }
+  if (!options.action && !options.help) {
+    const ours = argv.some((arg) => VALUE_OPTIONS[arg.split('=')[0]])
+    if (!ours) return null // Normal start (whatever Chromium switches came along)
+    errors.push('Aktion fehlt: --sync, --sync-down oder --sync-up')
+  }
+  if (typeof options.folders === 'string') {
+    options.folders = options.folders.split(';').map((p) => p.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '')).filter(Boolean)
+  }
+  if (!options.help && !options.user) errors.push('--user fehlt')
+  if (errors.length) options.error = errors.join('\n')
+  return options
+}
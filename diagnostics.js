@@ -0,0 +1,71 @@
+// Diagnostics bundle ("Diagnose exportieren"): a minimal ZIP writer and the redaction of secrets
+// in everything that goes into it. index.js collects the files (log, settings, sync state).
+// No Electron or fs imports.
+import zlib from 'zlib'
+
+// Keys whose values never leave the machine, whatever file they turn up in.
+const SECRET_KEY = /pass(word)?|secret|token|credential|authorization|cookie/i
+
+// Deep copy with secret values replaced.
+export function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets)
+  if (!value || typeof value !== 'object') return value
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, SECRET_KEY.test(key) ? '[entfernt]' : redactSecrets(v)]))
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  return { time, day }
+}
+
+// [{ name, data }] (name with "/" for folders, data a Buffer or string) → ZIP archive as a Buffer.
+// Deflated, UTF-8 names, no ZIP64: meant for a few MiB of logs and state files.
+export function createZip(files, now = new Date()) {
+  const { time, day } = dosDateTime(now)
+  const locals = []
+  const centrals = []
+  let offset = 0
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8')
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8')
+    const packed = zlib.deflateRawSync(data)
+    const crc = zlib.crc32(data)
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0) // Local file header
+    local.writeUInt16LE(20, 4) // Version needed (2.0: deflate)
+    local.writeUInt16LE(0x0800, 6) // UTF-8 names
+    local.writeUInt16LE(8, 8) // Deflate
+    local.writeUInt16LE(time, 10)
+    local.writeUInt16LE(day, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(packed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    locals.push(local, name, packed)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0) // Central directory header
+    central.writeUInt16LE(20, 4) // Made by
+    central.writeUInt16LE(20, 6) // Needed
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt16LE(time, 12)
+    central.writeUInt16LE(day, 14)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(packed.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(offset, 42) // Where the local header starts
+    centrals.push(central, name)
+    offset += local.length + name.length + packed.length
+  }
+  const directory = Buffer.concat(centrals)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0) // End of central directory
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat([...locals, directory, end])
+}
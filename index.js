@@ -1,34 +1,90 @@
-import { app, BrowserWindow, ipcMain, Tray, Menu, dialog } from 'electron' // Electron core modules
+import { app, BrowserWindow, ipcMain, Tray, Menu, Notification, nativeImage, dialog, shell, safeStorage } from 'electron' // Electron core modules
 import os from 'os' // OS utilities
 import { createClient } from 'webdav' // WebDAV client
 import fs from 'fs/promises' // Promise-based FS API
 import fssync from 'fs' // Sync FS API
 import path from 'path' // Path utilities
 import { fileURLToPath } from 'url' // ESM helpers
+import { pipeline } from 'stream/promises' // Stream piping with error propagation
+import { Transform, pipeline as pipeStreams } from 'stream' // Byte counting for progress reports
+import crypto from 'crypto' // Hashing (content hashes, stable chunked-upload ids)
+import { loginFlowV2 } from './loginflow.js' // Nextcloud Login Flow v2 ("Mit Browser anmelden")
+import { IGNORE_FILE, parseIgnoreRules, createIgnoreMatcher } from './syncignore.js' // .gitignore-style exclusions
+import { SETTINGS_VERSION, defaultSettings, validateSettings, migrateSettings } from './settings.js' // Versioned settings store
+import { adminConfigPath, parseAdminConfig, adminConfigFromEnv, mergeAdminConfig } from './adminconfig.js' // Admin-provisioned config
+import { CLI_USAGE, EXIT_CODES, parseCliArgs } from './cli.js' // Headless mode (--sync-down etc.)
+import { LOG_MAX_BYTES, LOG_KEEP, logFileName, logEntry, parseLogLines, filterLogEntries } from './synclog.js' // Persistent sync log
+import { createZip, redactSecrets } from './diagnostics.js' // "Diagnose exportieren"
 
 const __filename = fileURLToPath(import.meta.url) // Current file path
 const __dirname = path.dirname(__filename) // Current dir path
-const localRoot = path.join(os.homedir(), 'Nextcloud-Temp') // Local sync root
 
 let win // BrowserWindow ref
 let tray // Tray ref
-let client // WebDAV client
-let isSyncing = false // Re-entrancy lock
-let isConnected = false // Connection status
+const pairs = new Map() // Sync pairs by id (see createPair)
 
-const TIMESTAMP_TOLERANCE = 5000 // 5s tolerance
-const UPLOAD_CONCURRENCY = 12 // Max parallel per-file WebDAV operations during Sync Up
+const CHUNKED_UPLOAD_THRESHOLD = 50 * 1024 * 1024 // Files from 50 MiB on use chunked upload v2
+const UPLOAD_CHUNK_SIZE = 10 * 1024 * 1024 // 10 MiB per chunk (v2 needs ≥ 5 MiB except the last)
 
 // Run async tasks with a bounded concurrency limit, preserving no particular order.
+// A worker that throws (e.g. on cancel) stops every lane from claiming more items; the first
+// error is rethrown once the lanes have drained, so nothing keeps running behind the caller.
 async function runWithConcurrency(items, limit, worker) {
   let index = 0 // Shared cursor into items
+  let failure = null // { error } of the first failing worker
   const runners = new Array(Math.min(limit, items.length)).fill(0).map(async () => {
-    while (index < items.length) {
+    while (index < items.length && !failure) {
       const current = index++ // Claim next item
-      await worker(items[current], current) // Process it
+      try {
+        await worker(items[current], current) // Process it
+      } catch (error) {
+        failure ??= { error }
+      }
     }
   })
   await Promise.all(runners) // Wait for all lanes to drain
+  if (failure) throw failure.error
+}
+
+const RETRY_ATTEMPTS = 4 // Tries per WebDAV operation
+const RETRY_BASE_DELAY = 500 // ms before the first retry; doubles per attempt
+const RETRY_MAX_DELAY = 8000 // ms cap for a single backoff
+
+function sleep(ms, signal = null) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => { clearTimeout(timer); resolve() }, { once: true }) // Cancel doesn't wait out a backoff
+  })
+}
+
+function offlineError() {
+  return Object.assign(new Error('Server nicht erreichbar'), { code: 'EOFFLINE' })
+}
+
+// Run one WebDAV operation, retrying transient failures (isNetworkError) with jittered exponential
+// backoff. When the retries for an unreachable server are used up, the pair is flagged unreachable
+// and the run's remaining operations fail fast, so a dead connection ends the run quickly.
+// operation(signal) gets the run's abort signal for its request; every attempt is a checkpoint,
+// so a paused run waits here and a cancelled one stops.
+async function withRetry(pair, operation) {
+  const signal = runSignal(pair)
+  for (let attempt = 1; ; attempt++) {
+    await checkpoint(pair)
+    if (pair.unreachable) throw offlineError()
+    try {
+      return await operation(signal)
+    } catch (e) {
+      if (signal?.aborted || isCancelError(e)) throw cancelledError() // Aborted request → not a network problem
+      if (!isNetworkError(e)) throw e
+      if (attempt >= RETRY_ATTEMPTS) {
+        if (isOfflineError(e)) pair.unreachable = true
+        throw e
+      }
+      const delay = Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1)) // Full jitter
+      console.warn(`Transient error (${e?.code || e?.cause?.code || e?.response?.status}), retry ${attempt}/${RETRY_ATTEMPTS - 1} in ${Math.round(delay)} ms`)
+      await sleep(delay, signal)
+    }
+  }
 }
 
 // Process-level hardening to avoid crashes on EPIPE and similar
@@ -49,73 +105,368 @@ process.on('unhandledRejection', (reason) => {
   console.error('Unhandled promise rejection:', reason?.message || reason)
 })
 
-// Handle system shutdown gracefully
-process.on('SIGTERM', async () => {
-  console.log('🔄 System shutdown detected - performing final sync...')
-  
-  if (client && isConnected) {
+// Final two-way sync for every connected pair, one after the other (used on shutdown).
+async function finalSync() {
+  for (const pair of pairs.values()) {
+    if (!pair.client || !pair.isConnected) continue
     try {
-      // Final sync before shutdown
-      console.log('📤 Performing final sync before shutdown...')
-      await performSyncUp()
+      console.log(`🔄 Performing final sync for ${pairLabel(pair)}...`)
+      await performSync(pair)
       console.log('✅ Final sync completed successfully')
     } catch (e) {
       console.error('❌ Final sync failed:', e?.message)
     }
   }
-  
+}
+
+// Handle system shutdown gracefully
+process.on('SIGTERM', async () => {
+  if (cliRun) return cancelCli('SIGTERM') // Headless: stop the run, report, exit
+  console.log('🔄 System shutdown detected - performing final sync...')
+  await finalSync()
   console.log('👋 Shutting down gracefully...')
   process.exit(0)
 })
 
 process.on('SIGINT', async () => {
+  if (cliRun) return cancelCli('SIGINT')
   console.log('🔄 Interrupt signal received - performing final sync...')
-  
-  if (client && isConnected) {
-    try {
-      console.log('📤 Performing final sync before exit...')
-      await performSyncUp()
-      console.log('✅ Final sync completed successfully')
-    } catch (e) {
-      console.error('❌ Final sync failed:', e?.message)
-    }
-  }
-  
+  await finalSync()
   console.log('👋 Exiting gracefully...')
   process.exit(0)
 })
 
-// Files and patterns to exclude from sync
-const SYNC_EXCLUSIONS = [
-  '.sync-state.json',           // Local sync metadata
-  '.sync-folders.json',         // Top-level folder selection (local only)
-  'node_modules',               // Node.js dependencies
-  '.conflict-',                // Conflict files (pattern)
-  '.DS_Store',                 // macOS system files
-  'Thumbs.db',                  // Windows thumbnails
-  'desktop.ini',               // Windows system files
-  '.git',                      // Git repository
-  '.vscode',                   // VS Code settings
-  '.idea',                     // IntelliJ/WebStorm settings
-  '*.tmp',                     // Temporary files
-  '*.log'                      // Log files
-]
-
-// Helper function to check if a path should be excluded
-function shouldExcludePath(path) {
-  return SYNC_EXCLUSIONS.some(exclusion => {
-    if (exclusion.includes('*')) {
-      // Handle wildcard patterns
-      const pattern = exclusion.replace(/\*/g, '.*')
-      return new RegExp(pattern).test(path)
-    }
-    return path.includes(exclusion)
+// ---------- Admin configuration ----------
+// Deployment-wide presets and locks from a system-wide file and LIFE_SYNC_* environment variables
+// (see adminconfig.js). Read once at startup, before the settings. Problems are logged and shown
+// in the window; whatever part is valid still applies.
+let admin = { config: {}, locked: new Set(), errors: [], file: null }
+let adminIgnoreRules = [] // Mandatory exclusions, enforced like the internal rules
+
+async function loadAdminConfig() {
+  const file = adminConfigPath()
+  const layers = []
+  try {
+    layers.push(parseAdminConfig(await fs.readFile(file, 'utf8'), file))
+  } catch (e) {
+    if (e?.code !== 'ENOENT') layers.push({ config: {}, errors: [`${file}: nicht lesbar (${e?.message})`] })
+  }
+  layers.push(adminConfigFromEnv(process.env))
+  const { config, errors } = mergeAdminConfig(layers)
+  admin = { config, locked: new Set(config.locked ?? []), errors, file: layers.length > 1 ? file : null }
+  for (const error of errors) console.error('Admin config:', error)
+  if (Object.keys(config).length) console.log('Admin config applied:', JSON.stringify(config))
+  adminIgnoreRules = parseIgnoreRules((config.exclude ?? []).join('\n'), { source: 'Administrator' })
+}
+
+function isAdminLocked(key) {
+  return admin.locked.has(key)
+}
+
+// What the renderer needs to show presets and locks.
+function adminInfo() {
+  const { server = null, localRoot = null, folders = null, exclude = [] } = admin.config
+  return { server, localRoot, folders, exclude, locked: [...admin.locked], errors: admin.errors, file: admin.file }
+}
+
+// Defaults under the user's settings: the admin's presets replace the built-in ones.
+function baseSettings() {
+  const base = defaultSettings()
+  if (admin.config.server) base.general.defaultServer = admin.config.server
+  if (admin.config.localRoot) base.general.defaultLocalRoot = admin.config.localRoot
+  return base
+}
+
+// Locked admin values override whatever the user saved.
+function enforceAdminSettings(next) {
+  if (isAdminLocked('server')) next.general.defaultServer = admin.config.server
+  if (isAdminLocked('localRoot')) next.general.defaultLocalRoot = admin.config.localRoot
+  return next
+}
+
+// ---------- Settings ----------
+// userData/settings.json, versioned and validated by settings.js. Loaded before anything else at
+// startup; the sync code reads the live `settings` object, so saved changes apply to the next run
+// (transfer caps even to running transfers).
+const SETTINGS_FILE = 'settings.json' // In Electron userData
+let settings = defaultSettings()
+
+function settingsFilePath() {
+  return path.join(app.getPath('userData'), SETTINGS_FILE) // Absolute path
+}
+
+// What v1 kept in files of its own (see migrateSettings). They stay on disk but are no longer read.
+async function readLegacySettings() {
+  const legacy = {}
+  try { legacy.transfer = JSON.parse(await fs.readFile(path.join(app.getPath('userData'), 'transfer.json'), 'utf8')) } catch { /* None */ }
+  try { legacy.globalIgnore = await fs.readFile(path.join(app.getPath('userData'), 'global.syncignore'), 'utf8') } catch { /* None */ }
+  return legacy
+}
+
+async function loadSettings() {
+  let data = null
+  let unreadable = false
+  try {
+    data = JSON.parse(await fs.readFile(settingsFilePath(), 'utf8'))
+  } catch (e) {
+    if (e.code !== 'ENOENT') unreadable = true // Missing → migrate; corrupt → defaults, file stays as is
+  }
+  if (unreadable) {
+    const backup = settingsFilePath().replace(/\.json$/, '.corrupt.json') // A later save from the UI would overwrite it
+    await fs.copyFile(settingsFilePath(), backup).catch(() => {})
+    console.error(`Could not read ${SETTINGS_FILE} (copied to ${backup}), using the defaults`)
+  }
+  const outdated = !unreadable && !(data?.v >= SETTINGS_VERSION)
+  if (outdated) data = migrateSettings(data, await readLegacySettings())
+  const { settings: loaded, errors } = validateSettings(data, baseSettings())
+  for (const e of errors) console.warn(`Setting ${e.key} invalid (${e.message}), using the default`)
+  settings = enforceAdminSettings(loaded)
+  if (outdated) {
+    try { await saveSettings(settings) } catch (e) { console.error('Could not save migrated settings:', e?.message) }
+  }
+  applySettings()
+}
+
+async function saveSettings(next) {
+  await fs.mkdir(path.dirname(settingsFilePath()), { recursive: true })
+  await fs.writeFile(settingsFilePath(), JSON.stringify(next, null, 2), 'utf8') // Readable for admins
+}
+
+// Push settings that live outside the sync runs (rules, titles) to where they are used.
+function applySettings() {
+  applyIgnoreSettings()
+  win?.setTitle(settings.general.appTitle)
+  updateTrayTooltip()
+}
+
+// Merge a partial change (e.g. { transfer: {...} }) into the settings. Nothing is saved when any
+// value is invalid; the errors name the fields for the UI.
+async function updateSettings(patch) {
+  const { settings: next, errors } = validateSettings(patch, settings)
+  if (errors.length) return { status: 'invalid', errors, message: errors.map((e) => e.message).join(', ') }
+  enforceAdminSettings(next) // Locked fields are read-only in the UI anyway
+  await saveSettings(next)
+  settings = next
+  applySettings()
+  return { status: 'ok', settings }
+}
+
+ipcMain.handle('get-settings', async () => {
+  return { status: 'ok', settings, defaults: enforceAdminSettings(baseSettings()), admin: adminInfo() }
+})
+
+ipcMain.handle('set-settings', async (_event, { settings: patch }) => {
+  try {
+    const result = await updateSettings(patch)
+    if (result.status === 'ok') console.log('Settings saved')
+    return result
+  } catch (e) {
+    console.error('set-settings failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  }
+})
+
+// ---------- Sync log ----------
+// What happened to which file, kept across restarts in userData/logs (format: synclog.js):
+// transfers, deletions, archived versions, conflicts, restores, runs and logins. Lines are
+// appended through one queue, so concurrent transfers never interleave them.
+let logWrite = Promise.resolve() // Tail of the write queue
+let logSize = null // Bytes in the current file (read on the first write)
+
+function logDirPath() {
+  return path.join(app.getPath('userData'), 'logs')
+}
+
+// Most specific code of an error: Node code (ENOSPC …), else the HTTP status.
+function errorCode(error) {
+  return error?.code ?? error?.response?.status ?? error?.status ?? null
+}
+
+// fields: see logEntry() in synclog.js; pair is null for app-wide events.
+function logSync(pair, fields) {
+  const line = JSON.stringify(logEntry({ ...fields, pair: pair ? pairLabel(pair) : null })) + '\n'
+  logWrite = logWrite.then(() => appendLogLine(line)).catch((e) => console.error('Could not write sync log:', e?.message))
+}
+
+async function appendLogLine(line) {
+  const file = path.join(logDirPath(), logFileName(0))
+  if (logSize === null) {
+    await fs.mkdir(logDirPath(), { recursive: true })
+    logSize = await fs.stat(file).then((st) => st.size, () => 0)
+  }
+  const bytes = Buffer.byteLength(line)
+  if (logSize > 0 && logSize + bytes > LOG_MAX_BYTES) {
+    for (let n = LOG_KEEP; n >= 1; n--) { // sync.log → sync.1.log → … → sync.<LOG_KEEP>.log; the oldest is overwritten
+      await fs.rename(path.join(logDirPath(), logFileName(n - 1)), path.join(logDirPath(), logFileName(n))).catch(() => {})
+    }
+    logSize = 0
+  }
+  await fs.appendFile(file, line, 'utf8')
+  logSize += bytes
+}
+
+// All entries, oldest first (rotated files before the current one).
+async function readSyncLog() {
+  await logWrite // Include what's still queued
+  const entries = []
+  for (let n = LOG_KEEP; n >= 0; n--) {
+    try { entries.push(...parseLogLines(await fs.readFile(path.join(logDirPath(), logFileName(n)), 'utf8'))) } catch { /* Not there (yet) */ }
+  }
+  return entries
+}
+
+ipcMain.handle('get-sync-log', async (_event, filter = {}) => {
+  const entries = await readSyncLog()
+  const pairLabels = [...new Set(entries.map((entry) => entry.pair).filter(Boolean))]
+  return { status: 'ok', entries: filterLogEntries(entries, filter), total: entries.length, pairs: pairLabels }
+})
+
+// Everything a supporter needs to follow what a sync did — the log, settings, admin config, pairs
+// and each pair's state files. Never credentials.json; secret-looking keys are redacted anyway.
+async function diagnosticsFiles() {
+  const json = (value) => JSON.stringify(redactSecrets(value), null, 2)
+  const files = [
+    { name: 'info.json', data: json({ version: app.getVersion(), electron: process.versions.electron, platform: process.platform, arch: process.arch, release: os.release(), exported: new Date().toISOString() }) },
+    { name: 'settings.json', data: json(settings) },
+    { name: 'admin.json', data: json(adminInfo()) },
+    { name: 'pairs.json', data: json([...pairs.values()].map(pairInfo)) }
+  ]
+  await logWrite
+  for (let n = LOG_KEEP; n >= 0; n--) {
+    try { files.push({ name: `logs/${logFileName(n)}`, data: await fs.readFile(path.join(logDirPath(), logFileName(n))) }) } catch { /* Not there */ }
+  }
+  for (const pair of pairs.values()) {
+    const stateFiles = { 'sync-state.json': syncStateFilePath(pair), 'sync-folders.json': syncFoldersFilePath(pair), 'sync-queue.json': syncQueueFilePath(pair) }
+    for (const [name, file] of Object.entries(stateFiles)) {
+      try { files.push({ name: `pairs/${pair.id}/${name}`, data: json(JSON.parse(await fs.readFile(file, 'utf8'))) }) } catch { /* Missing or unreadable */ }
+    }
+  }
+  return files
+}
+
+ipcMain.handle('export-diagnostics', async () => {
+  const { canceled, filePath } = await dialog.showSaveDialog(win, {
+    title: 'Diagnose exportieren',
+    defaultPath: path.join(app.getPath('desktop'), `life-nextcloud-sync-diagnose-${fileStamp()}.zip`),
+    filters: [{ name: 'ZIP-Archiv', extensions: ['zip'] }]
+  })
+  if (canceled || !filePath) return { status: 'cancelled' }
+  try {
+    await fs.writeFile(filePath, createZip(await diagnosticsFiles()))
+    console.log(`Diagnostics exported to ${filePath}`)
+    return { status: 'ok', path: filePath }
+  } catch (e) {
+    console.error('export-diagnostics failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  }
+})
+
+// ---------- Ignore rules ----------
+// Which paths never sync. Internal files (state, caches, conflict copies, partial downloads) are
+// always excluded. The default list and the user's own list (both in the settings) and
+// .syncignore files inside a sync folder follow .gitignore rules (see syncignore.js).
+const INTERNAL_IGNORE_RULES = parseIgnoreRules([
+  '.sync-state.json',   // Local sync metadata
+  '.sync-folders.json', // Folder selection (local only)
+  '.sync-tree.json',    // Remote listing cache (local only)
+  IGNORE_FILE,          // Ignore rules stay local
+  '*.conflict-*',       // Conflict copies
+  '.*.download.tmp',    // Partial downloads
+  '/.sync-trash/',      // Archived versions (see archiveLocalVersion)
+  '.sync-queue.json'    // Offline queue (local only)
+].join('\n'), { source: 'intern' })
+
+let defaultIgnoreRules = []
+let globalIgnoreRules = []
+
+function applyIgnoreSettings() {
+  defaultIgnoreRules = parseIgnoreRules(settings.ignore.defaults, { source: 'Standard' })
+  globalIgnoreRules = parseIgnoreRules(settings.ignore.global, { source: 'global' })
+  for (const pair of pairs.values()) pair.ignore = null // Rebuilt on next use
+}
+
+// Fresh matcher for a pair; called at the start of every sync run so edited .syncignore files apply.
+function refreshIgnoreRules(pair) {
+  pair.ignore = createIgnoreMatcher({
+    hardRules: [...INTERNAL_IGNORE_RULES, ...adminIgnoreRules],
+    baseRules: [...defaultIgnoreRules, ...globalIgnoreRules],
+    loadDirRules: (dir) => fs.readFile(path.join(pair.localRoot, ...dir.split('/').filter(Boolean), IGNORE_FILE), 'utf8').catch(() => null)
+  })
+  return pair.ignore
+}
+
+// Single exclusion check for every walk (local, remote, upload, download, deletion checks).
+async function isExcluded(pair, relPosix, isDir = false) {
+  return (pair.ignore ?? refreshIgnoreRules(pair)).isIgnored(relPosix, isDir)
+}
+
+// ---------- Transfer settings ----------
+// Bandwidth caps and parallelism (settings.transfer) apply to the whole machine: every pair
+// shares the same uplink, so the caps are shared too. A weekly schedule (e.g. lesson hours)
+// swaps in its own caps while it is active. Limits are in KB/s, 0 = unlimited.
+
+// Schedule window on the given date; a window past midnight ("22:00"–"06:00") counts from its start day.
+function scheduleActive(schedule, now = new Date()) {
+  if (!schedule.enabled) return false
+  const minutes = now.getHours() * 60 + now.getMinutes()
+  const [from, to] = [schedule.from, schedule.to].map((t) => Number(t.slice(0, 2)) * 60 + Number(t.slice(3)))
+  if (from <= to) return schedule.days.includes(now.getDay()) && minutes >= from && minutes < to
+  if (minutes >= from) return schedule.days.includes(now.getDay())
+  return minutes < to && schedule.days.includes((now.getDay() + 6) % 7) // Early morning → yesterday's window
+}
+
+// Current cap in bytes per second for 'upload' or 'download' (0 = unlimited).
+function rateLimit(direction) {
+  const key = `${direction}LimitKBps`
+  const { schedule } = settings.transfer
+  return (scheduleActive(schedule) ? schedule[key] : settings.transfer[key]) * 1024
+}
+
+// Shared budget per direction: each chunk books its share of the link after the ones before it
+// and waits for its turn, so parallel transfers of all pairs together stay under the cap. The cap
+// is read per chunk — a changed setting or a starting schedule applies to running transfers too.
+const bandwidthBookedUntil = { upload: 0, download: 0 } // ms timestamps
+
+async function takeBandwidth(direction, bytes, signal) {
+  const rate = rateLimit(direction)
+  if (!rate) return
+  const now = Date.now()
+  const start = Math.max(bandwidthBookedUntil[direction], now)
+  bandwidthBookedUntil[direction] = start + bytes * 1000 / rate
+  if (start > now) await sleep(start - now, signal) // Cancel doesn't wait for the budget
+}
+
+// Pass a transfer stream through the direction's bandwidth budget.
+function throttled(pair, direction, source) {
+  const signal = runSignal(pair)
+  const limiter = new Transform({
+    transform(chunk, _encoding, callback) {
+      takeBandwidth(direction, chunk.length, signal).then(() => callback(null, chunk))
+    }
   })
+  pipeStreams(source, limiter, () => {}) // Errors destroy both ends; the consumer sees them
+  return limiter
 }
 
+ipcMain.handle('get-transfer-settings', async () => {
+  return { status: 'ok', settings: settings.transfer, scheduleActive: scheduleActive(settings.transfer.schedule) }
+})
+
+ipcMain.handle('set-transfer-settings', async (_event, { settings: transfer }) => {
+  try {
+    const result = await updateSettings({ transfer })
+    if (result.status !== 'ok') return result
+    console.log('Transfer settings saved:', JSON.stringify(settings.transfer))
+    return { status: 'ok', settings: settings.transfer }
+  } catch (e) {
+    console.error('set-transfer-settings failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  }
+})
+
 function createWindow() {
   win = new BrowserWindow({
-    title: "My Electron App", // Title
+    title: settings.general.appTitle, // Title (settings)
     width: 600, // Width
     height: 770, // Height
     icon: path.join(__dirname, 'icon.png'), // Icon
@@ -134,7 +485,7 @@ function createWindow() {
         trayHintShown = true
         dialog.showMessageBox({
           type: 'info',
-          title: 'LiFE Nextcloud Sync',
+          title: settings.general.appTitle,
           message: 'Im Hintergrund aktiv',
           detail: 'Der Nextcloud Sync Client läuft weiter im Systemtray. Über das Tray-Symbol kannst du das Fenster wiederherstellen oder die App beenden.',
           buttons: ['OK'],
@@ -147,134 +498,1022 @@ function createWindow() {
 // True once the "minimized to tray" hint has been shown this app run (shown once per start).
 let trayHintShown = false
 
+const PAIR_STATUS_LABELS = { disconnected: 'Abgemeldet', idle: 'Bereit', syncing: 'Synchronisiert…', paused: 'Pausiert', offline: 'Offline', error: 'Fehler' }
+
+// Status of a pair for the tray; a quota stop (507) shows until the next run.
+function pairStatusLabel(pair) {
+  const label = PAIR_STATUS_LABELS[pair.status]
+  return pair.quotaExceeded ? `${label}, Server-Speicher voll` : label
+}
+
+// The icon shows the state of all pairs at once: an error (or quota stop) anywhere beats offline,
+// offline beats a running sync. Idle is the plain icon, the others get a colored dot.
+const TRAY_STATE_COLORS = { syncing: [13, 110, 253], offline: [108, 117, 125], error: [220, 53, 69] } // RGB
+const trayIcons = new Map() // state → nativeImage (drawn once)
+
+function trayState() {
+  const list = [...pairs.values()]
+  if (list.some((pair) => pair.status === 'error' || pair.quotaExceeded)) return 'error'
+  if (list.some((pair) => pair.status === 'offline')) return 'offline'
+  if (list.some((pair) => pair.status === 'syncing' || pair.status === 'paused')) return 'syncing'
+  return 'idle'
+}
+
+function trayIcon(state) {
+  if (trayIcons.has(state)) return trayIcons.get(state)
+  const base = nativeImage.createFromPath(path.join(__dirname, 'trayicon.png'))
+  const color = TRAY_STATE_COLORS[state]
+  if (!color) { trayIcons.set(state, base); return base }
+  const { width, height } = base.getSize()
+  const bitmap = base.toBitmap() // BGRA
+  const r = Math.round(width * 0.22) // Dot in the lower right corner
+  const cx = width - r - 1
+  const cy = height - r - 1
+  for (let y = cy - r; y <= cy + r; y++) {
+    for (let x = cx - r; x <= cx + r; x++) {
+      const d = Math.hypot(x - cx, y - cy)
+      if (d > r) continue
+      const [red, green, blue] = d > r - 2 ? [255, 255, 255] : color // White rim, visible on dark panels too
+      bitmap.set([blue, green, red, 255], (y * width + x) * 4)
+    }
+  }
+  const image = nativeImage.createFromBitmap(bitmap, { width, height })
+  trayIcons.set(state, image)
+  return image
+}
+
+// Files view of the pair's remote base in the browser.
+function serverFilesUrl(pair) {
+  return `${pair.server}/apps/files/?dir=${encodeURIComponent('/' + pair.remoteBase)}`
+}
+
 function createTray() {
-  tray = new Tray(path.join(__dirname, 'trayicon.png')) // Create tray icon
+  tray = new Tray(trayIcon(trayState())) // Create tray icon
+  tray.on('click', () => { win.isVisible() ? win.hide() : win.show() }) // Toggle window
+  updateTray()
+}
+
+// Rebuild the tray menu: one entry per sync pair with its status and manual sync actions.
+function updateTray() {
+  if (!tray) return
+  const pairItems = [...pairs.values()].map((pair) => ({
+    label: `${pairLabel(pair)} – ${pairStatusLabel(pair)}`,
+    submenu: [
+      { label: 'Jetzt synchronisieren', enabled: pair.isConnected && !pair.isSyncing, click: () => performSync(pair).catch(() => {}) }, // Reported via sync-result
+      { label: 'Sync Down', enabled: pair.isConnected && !pair.isSyncing, click: () => performSyncDown(pair).catch(() => {}) }, // Reported via sync-result
+      { label: 'Sync Up', enabled: pair.isConnected && !pair.isSyncing, click: () => performSyncUp(pair).catch(() => {}) },
+      { type: 'separator' },
+      { label: 'Lokalen Ordner öffnen', click: () => shell.openPath(pair.localRoot) },
+      { label: 'Im Browser öffnen', click: () => shell.openExternal(serverFilesUrl(pair)) },
+      ...(pair.run ? [
+        { type: 'separator' },
+        pair.run.paused ? { label: 'Fortsetzen', click: () => resumeRun(pair) } : { label: 'Pausieren', click: () => pauseRun(pair) },
+        { label: 'Abbrechen', click: () => cancelRun(pair) }
+      ] : [])
+    ]
+  }))
   const contextMenu = Menu.buildFromTemplate([
     { label: 'Show App', click: () => win.show() }, // Show window
+    ...(pairItems.length ? [{ type: 'separator' }, ...pairItems, { type: 'separator' }] : []),
     { label: 'Quit', click: () => { app.isQuiting = true; app.quit() } } // Quit app
   ])
-  tray.setToolTip('My Electron App') // Tooltip
+  updateTrayTooltip()
+  tray.setImage(trayIcon(trayState())) // Status dot
   tray.setContextMenu(contextMenu) // Context menu
-  tray.on('click', () => { win.isVisible() ? win.hide() : win.show() }) // Toggle window
+}
+
+// Tooltip only (cheap enough for every progress event): one line per pair, with progress while it transfers.
+function updateTrayTooltip() {
+  if (!tray) return
+  const lines = [...pairs.values()].map((pair) => {
+    const line = `${pairLabel(pair)}: ${pairStatusLabel(pair)}`
+    return pair.progress?.phase === 'transfer' ? `${line} ${progressSummary(pair.progress)}` : line
+  })
+  tray.setToolTip([settings.general.appTitle, ...lines].join('\n')) // Tooltip
+}
+
+// ---------- Notifications ----------
+// Native notifications for what the user should see while the window is hidden. Each kind
+// (syncDone, conflicts, permissions, quota) can be turned off in the settings. Per run a kind
+// fires once per pair; the details are in the window's status history.
+function notifyUser(pair, kind, body) {
+  if (cliRun || !settings.notifications[kind] || !Notification.isSupported()) return
+  if (win?.isVisible() && win.isFocused()) return // The window shows it already
+  if (pair.run?.notified.has(kind)) return
+  pair.run?.notified.add(kind)
+  const notification = new Notification({ title: `${settings.general.appTitle} – ${pairLabel(pair)}`, body, icon: path.join(__dirname, 'icon.png') })
+  notification.on('click', () => { win?.show(); win?.focus() })
+  notification.show()
+}
+
+// Only runs that transferred something (watch mode syncs all the time).
+function notifySyncDone(pair, message) {
+  const files = pair.progress ? pair.progress.filesDone - pair.progress.filesFailed : 0
+  if (files > 0) notifyUser(pair, 'syncDone', `${message} – ${files} Datei(en) übertragen`)
 }
 
 // Ensure single instance: focus existing window and exit second instance
-const gotTheLock = app.requestSingleInstanceLock()
-if (!gotTheLock) {
-  app.quit()
-} else {
-  app.on('second-instance', () => {
+function startWindowApp() {
+  const gotTheLock = app.requestSingleInstanceLock()
+  if (!gotTheLock) {
+    app.quit()
+    return
+  }
+  app.on('second-instance', (_event, argv) => {
+    if (parseCliArgs(argv)) return // A headless run that found the app busy
     if (win) {
       if (win.isMinimized()) win.restore()
       win.show()
       win.focus()
     }
   })
-  app.whenReady().then(() => { createWindow(); createTray() }) // Init app
+  app.whenReady().then(async () => {
+    await loadAdminConfig() // First: presets and locks for everything below
+    await loadSettings()
+    await loadPairs() // Known pairs show up (disconnected) before anyone logs in
+    createWindow(); createTray() // Init app
+    win.webContents.once('did-finish-load', () => { autoLogin() }) // "Angemeldet bleiben" → connect once the UI listens
+  })
+}
+
+// ---------- Headless CLI ----------
+// life-nextcloud-sync --sync-down --server … --user … runs one sync without window or tray (login
+// scripts, exam machines) and exits with a code from EXIT_CODES. Same engine as the window:
+// connectAccount, the saved folder selection, performSync / performSyncDown / performSyncUp — only
+// the frontend writes to stdout instead, one JSON object per line ({ event: channel, …payload }).
+// Logs go to stderr. Deletions that would ask in a dialog are skipped unless --yes is given.
+let cliRun = null // { options, pair, failed, cancelled } of the headless run
+let cliExited = false
+
+function printJson(event, payload = {}) {
+  process.stdout.write(JSON.stringify({ event, ...payload }) + '\n')
+}
+
+// reason: a key of EXIT_CODES.
+function exitCli(reason, message = null) {
+  if (cliExited) return
+  cliExited = true
+  printJson('exit', { code: EXIT_CODES[reason], reason, message })
+  logWrite.finally(() => app.exit(EXIT_CODES[reason])) // Sync log lines still queued
+}
+
+function cliFrontend(run) {
+  return {
+    send(channel, payload) {
+      if (channel === 'sync-result' && ['warning', 'error'].includes(payload.status)) run.failed = true
+      if (channel === 'sync-progress' && payload.filesFailed) run.failed = true
+      printJson(channel, payload)
+    },
+    confirm({ title, count }) {
+      if (!run.options.yes) console.warn(`${title}: ${count} deletion(s) skipped, pass --yes to allow them`)
+      return run.options.yes
+    }
+  }
+}
+
+// --password-file, then LIFE_SYNC_PASSWORD, then the login stored with "Angemeldet bleiben".
+async function cliPassword(options, pair) {
+  if (options.passwordFile) return (await fs.readFile(options.passwordFile, 'utf8')).replace(/\r?\n$/, '')
+  if (process.env.LIFE_SYNC_PASSWORD) return process.env.LIFE_SYNC_PASSWORD
+  return (await loadCredentials()).find((creds) => creds.id === pair.id)?.appPassword ?? null
+}
+
+async function runCli(options) {
+  console.log = console.info = console.error // stdout carries only the JSON events
+  app.dock?.hide() // macOS: no Dock icon for a background run
+  const run = cliRun = { options, pair: null, failed: false, cancelled: false }
+  Object.assign(frontend, cliFrontend(run))
+  await loadAdminConfig()
+  await loadSettings()
+  await loadPairs()
+
+  const server = (options.server || settings.general.defaultServer).replace(/\/+$/, '') // The preset already is the admin's server
+  if (isAdminLocked('server') && server !== admin.config.server) return exitCli('usage', `Der Server ist vom Administrator festgelegt: ${admin.config.server}`)
+  if (!server) return exitCli('usage', '--server fehlt (kein Standard-Server eingestellt)')
+  if (options.folders && isAdminLocked('folders')) return exitCli('usage', 'Die Ordnerauswahl ist vom Administrator festgelegt')
+  const pair = run.pair = pairForAccount(server, options.user, options.remoteBase)
+  const localProblem = await applyChosenLocalRoot(pair, options.localRoot) // New pair: saved with this folder on connect
+  if (localProblem) return exitCli('usage', localProblem)
+
+  let password
+  try {
+    password = await cliPassword(options, pair)
+  } catch (e) {
+    return exitCli('usage', `Passwortdatei nicht lesbar: ${e?.message}`)
+  }
+  if (!password) return exitCli('login', 'Kein Passwort: --password-file, LIFE_SYNC_PASSWORD oder „Angemeldet bleiben“ im Fenster')
+  let loginError = null
+  const connected = await connectAccount(pair, password, { initialSync: false }, (channel, payload) => {
+    if (channel === 'login-result' && payload.status === 'error') loginError = payload
+    frontend.send(channel, payload)
+  })
+  if (run.cancelled) return exitCli('cancelled')
+  if (!connected) return exitCli(loginError?.reason === 'offline' ? 'offline' : loginError?.reason === 'auth' ? 'login' : 'failed', loginError?.message)
+  if (options.folders) pair.selectedPaths = new Set(options.folders) // This run only; the saved selection stays
+
+  const perform = { sync: performSync, down: performSyncDown, up: performSyncUp }[options.action]
+  try {
+    await perform(pair)
+  } catch (e) {
+    if (isAuthError(e)) return exitCli('login', e?.message)
+    // Everything else is in pair.status and was reported as sync-result
+  }
+  if (run.cancelled) return exitCli('cancelled', 'Sync abgebrochen – fertig übertragene Dateien bleiben erhalten')
+  if (pair.status === 'offline') return exitCli('offline', 'Server nicht erreichbar')
+  if (pair.status === 'error' || run.failed) return exitCli('failed', 'Sync mit Fehlern beendet')
+  exitCli('ok')
+}
+
+// SIGINT / SIGTERM: cancel like the window's button; the run saves its state and runCli exits.
+// A second signal (or one before the run started) exits right away.
+function cancelCli(signal) {
+  console.warn(`${signal} received, cancelling the headless sync`)
+  const pending = cliRun.cancelled
+  cliRun.cancelled = true
+  if (pending || !cliRun.pair?.run) return exitCli('cancelled', signal)
+  cancelRun(cliRun.pair)
+}
+
+// Command line without a sync action → window and tray as usual; otherwise a headless run.
+const cliOptions = parseCliArgs(process.argv)
+if (cliOptions?.help || cliOptions?.error) {
+  if (cliOptions.error) process.stderr.write(`${cliOptions.error}\n\n`)
+  process.stderr.write(CLI_USAGE)
+  app.exit(cliOptions.error ? EXIT_CODES.usage : EXIT_CODES.ok)
+} else if (cliOptions) {
+  if (!app.requestSingleInstanceLock()) exitCli('busy', 'Die App läuft bereits (Fenster oder anderer Sync)') // Same folders, same state files
+  else app.whenReady().then(() => runCli(cliOptions)).catch((e) => exitCli('failed', e?.message))
+} else startWindowApp()
+
+// ---------- Sync pairs ----------
+// A sync pair links one Nextcloud account (server + user + remote base folder) with one local
+// folder. Each pair has its own WebDAV clients, lock, folder selection, auto-sync timers and
+// state files (kept in its local folder), so pairs sync independently of each other.
+// The list is stored in userData/pairs.json — without passwords (see stored credentials).
+const PAIRS_FILE = 'pairs.json' // In Electron userData, never in a sync folder
+
+function pairsFilePath() {
+  return path.join(app.getPath('userData'), PAIRS_FILE) // Absolute path
+}
+
+function createPair({ id, server, username, loginName = username, remoteBase = '', localRoot }) {
+  return {
+    id, server, username, remoteBase, localRoot,
+    loginName, // Authenticates; username (the user id) names the WebDAV folder. They differ for email/LDAP/SSO logins
+    client: null, // WebDAV client rooted at the remote base folder
+    uploadsClient: null, // WebDAV client for chunked uploads (…/remote.php/dav/uploads/<user>/)
+    trashClient: null, // WebDAV client for the server trashbin (…/remote.php/dav/trashbin/<user>/)
+    filesBaseUrl: null, // Absolute URL of the remote base folder (chunk assembly Destination)
+    isConnected: false,
+    isSyncing: false, // Re-entrancy lock
+    status: 'disconnected', // disconnected | idle | syncing | error (UI + tray)
+    quotaExceeded: false, // The last run hit 507 (tray shows it until the next run)
+    quota: null, // { used, available, total } from the server (see fetchQuota)
+    selectedPaths: null, // Folder selection (see loadSelectedTopFolders)
+    autoSync: { enabled: false, intervalMinutes: 5 }, // Set by the UI via set-auto-sync
+    watcher: null, // fs.watch handle on localRoot
+    pollTimer: null, // Remote poll interval
+    debounceTimer: null, // Pending auto Sync Up
+    pendingChanges: new Set(), // Changed POSIX paths since the last auto Sync Up
+    lastRootEtag: null, // Root ETag after the last auto Sync Down
+    sessionAppPassword: null, // Login Flow app password when not stored → revoked on logout
+    ignore: null, // Ignore matcher of the current run (see refreshIgnoreRules)
+    trashStamp: null, // .sync-trash folder of the current run (see archiveLocalVersion)
+    queue: new Set(), // Paths whose local change still has to reach the server (see queueChanges)
+    queueSave: Promise.resolve(), // Serializes writes of .sync-queue.json
+    unreachable: false, // Set by withRetry when the server stopped answering during a run
+    offlineTimer: null, // Next connectivity probe while offline
+    offlineDelay: 0, // Current probe interval (backs off while the server stays away)
+    run: null // Running sync's cancel / pause handle (see beginRun)
+  }
+}
+
+// "Documents/Schule/" → "Documents/Schule"; "" = the whole account.
+function normalizeRemoteBase(remoteBase) {
+  return String(remoteBase || '').replace(/\\/g, '/').split('/').filter((p) => p && p !== '.' && p !== '..').join('/')
+}
+
+// Stable id per account + remote base, so logging in again finds the same pair and local folder.
+function makePairId(server, username, remoteBase) {
+  return crypto.createHash('sha1').update(`${server}\0${username}\0${remoteBase}`).digest('hex').slice(0, 12)
+}
+
+function pairLabel(pair) {
+  let host = pair.server
+  try { host = new URL(pair.server).host } catch { /* Keep the raw server string */ }
+  return `${pair.username}@${host}${pair.remoteBase ? '/' + pair.remoteBase : ''}`
+}
+
+// The first pair gets the configured folder (classic ~/Nextcloud-Temp); later ones a folder named
+// after the account next to it.
+function defaultLocalRoot(server, username, remoteBase) {
+  const used = new Set([...pairs.values()].map((p) => p.localRoot))
+  const first = settings.general.defaultLocalRoot
+  if (!used.has(first)) return first
+  return siblingLocalRoot(first, server, username, remoteBase)
+}
+
+function siblingLocalRoot(first, server, username, remoteBase) {
+  let host = server
+  try { host = new URL(server).host } catch { /* Keep the raw server string */ }
+  const name = ['Nextcloud', host, username, remoteBase].filter(Boolean).join('-').replace(/[^\w.-]+/g, '_')
+  return path.join(path.dirname(first), name)
+}
+
+// Admin-locked localRoot: pairs sync where the lock says, whatever pairs.json or an earlier move
+// recorded — the first pair to the locked folder, the others next to it.
+function enforceLockedLocalRoot(pair) {
+  if (!isAdminLocked('localRoot')) return
+  const ids = [...pairs.keys()]
+  const first = ids.length === 0 || ids[0] === pair.id
+  const localRoot = first ? admin.config.localRoot : siblingLocalRoot(admin.config.localRoot, pair.server, pair.username, pair.remoteBase)
+  if (pair.localRoot === localRoot) return
+  console.warn(`Sync folder of ${pairLabel(pair)} is locked by the admin: ${pair.localRoot} → ${localRoot}`)
+  pair.localRoot = localRoot
+}
+
+// Existing pair for this account + remote base, or a new (not yet persisted) one.
+function pairForAccount(server, username, remoteBase) {
+  server = server.replace(/\/+$/,'') // No trailing slash
+  remoteBase = normalizeRemoteBase(remoteBase)
+  const id = makePairId(server, username, remoteBase)
+  return pairs.get(id) ?? createPair({ id, server, username, remoteBase, localRoot: defaultLocalRoot(server, username, remoteBase) })
+}
+
+// Pair addressed by an IPC call. Without an id the only pair is meant (single-account UIs).
+function resolvePair(pairId) {
+  if (pairId) return pairs.get(pairId) ?? null
+  return pairs.size === 1 ? pairs.values().next().value : null
 }
 
-ipcMain.handle('login', async (event, { server, username, password, selectFolders }) => {
-  isSyncing = false // Reset lock
+function pairInfo(pair) {
+  const { id, server, username, remoteBase, localRoot, status, isConnected, quota } = pair
+  return { id, server, username, remoteBase, localRoot, status, connected: isConnected, label: pairLabel(pair), quota }
+}
+
+async function loadPairs() {
+  try {
+    const data = JSON.parse(await fs.readFile(pairsFilePath(), 'utf8'))
+    for (const p of Array.isArray(data?.pairs) ? data.pairs : []) {
+      if (!p?.id || !p?.server || !p?.username || !p?.localRoot) continue // Skip broken entries
+      pairs.set(p.id, createPair(p))
+    }
+    for (const pair of pairs.values()) enforceLockedLocalRoot(pair)
+  } catch {
+    // Missing or corrupt → pairs appear again on the next login
+  }
+}
+
+async function savePairs() {
+  const list = [...pairs.values()].map(({ id, server, username, loginName, remoteBase, localRoot }) => ({ id, server, username, loginName, remoteBase, localRoot }))
+  await fs.mkdir(path.dirname(pairsFilePath()), { recursive: true })
+  await fs.writeFile(pairsFilePath(), JSON.stringify({ v: 1, pairs: list }, null, 0), 'utf8') // Persist
+}
+
+// Where the sync engine reports to: the window, or stdout in headless mode (see runCli).
+const frontend = {
+  send: (channel, payload) => win?.webContents?.send(channel, payload),
+  confirm: (options) => confirmInDialog(options)
+}
+
+// Every message about a pair carries its id so the UI can route it to the right card.
+function sendPairEvent(pair, channel, payload = {}) {
+  frontend.send(channel, { pairId: pair.id, ...payload })
+}
+
+function setPairStatus(pair, status) {
+  pair.status = status
+  sendPairEvent(pair, 'pair-status', { status, pair: pairInfo(pair) })
+  updateTray()
+}
+
+ipcMain.handle('list-pairs', async () => {
+  return { status: 'ok', pairs: [...pairs.values()].map(pairInfo) }
+})
 
-  const base = `${server.replace(/\/+$/,'')}/remote.php/dav/files/${encodeURIComponent(username)}/` // Base URL
-  client = createClient(base, { username, password }) // Create client
+ipcMain.handle('login', async (event, { server, username, password, selectFolders, remember, remoteBase, localRoot }) => {
+  const notify = (channel, payload) => event.sender.send(channel, payload)
+  if (isAdminLocked('server')) server = admin.config.server // The form can't pick another server
+  if (isAdminLocked('folders')) selectFolders = false // The admin's selection applies
+  const pair = pairForAccount(server, username, remoteBase)
+  if (pair.isConnected) {
+    notify('login-result', { pairId: pair.id, status:'error', message:'Dieses Konto ist bereits verbunden' })
+    return { status: 'failed', pairId: pair.id }
+  }
+  const problem = await applyChosenLocalRoot(pair, localRoot)
+  if (problem) {
+    notify('login-result', { pairId: pair.id, status:'error', message: problem })
+    return { status: 'failed', pairId: pair.id }
+  }
+  await revokeSessionAppPassword(pair) // Switching away from an unstored browser login
+  const ok = await connectAccount(pair, password, { selectFolders }, notify)
+  if (ok) await clearCredentials(pair, { revoke: true }) // Replace (or, unticked, forget) an older stored login
+  if (ok && remember) await rememberAccount(pair, password) // Best effort; session already works
+  return { status: ok ? 'logged-in' : 'failed', pairId: pair.id } // Ack
+})
 
+// Build the pair's WebDAV clients, probe its remote base and start the first sync (unless the UI
+// selects folders first, or initialSync is false for the headless mode, which runs its own).
+// notify(channel, payload) reaches the renderer that asked — or the main window for auto-login.
+// Returns true when connected; only then is a new pair added and saved.
+async function connectAccount(pair, password, { selectFolders = false, initialSync = true } = {}, notify, { stored = false } = {}) {
+  const send = (channel, payload) => notify(channel, { pairId: pair.id, ...payload })
+  const { server, username, remoteBase } = pair
+  const auth = { username: pair.loginName, password } // Login name + password or app password
+  enforceLockedLocalRoot(pair) // Before anything touches the local folder
+
+  const encodedBase = remoteBase ? remoteBase.split('/').map(encodeURIComponent).join('/') + '/' : ''
+  const base = `${server}/remote.php/dav/files/${encodeURIComponent(username)}/${encodedBase}` // Base URL (remote base folder)
+  pair.client = createClient(base, auth) // Create client
+  pair.uploadsClient = createClient(`${server}/remote.php/dav/uploads/${encodeURIComponent(username)}/`, auth) // Chunk staging area
+  pair.trashClient = createClient(`${server}/remote.php/dav/trashbin/${encodeURIComponent(username)}/`, auth) // Server trashbin
+  pair.filesBaseUrl = base // For chunk assembly
+
+  const account = { server, username, remoteBase } // Lets the UI show "connected as" without its own copy
   try {
-    await client.getDirectoryContents('/') // Probe root
-    isConnected = true // Mark as connected
-    if (!fssync.existsSync(localRoot)) fssync.mkdirSync(localRoot,{recursive:true}) // Ensure local root
-    await loadSelectedTopFolders() // Apply any previously saved folder selection
+    try {
+      await pair.client.getDirectoryContents('/') // Probe remote base
+    } catch (e) {
+      // Stored login but no server (laptop offline at boot) → start offline and reconnect later
+      if (!stored || !isOfflineError(e)) throw e
+      console.warn(`Server of ${pairLabel(pair)} unreachable at startup, starting offline`)
+      await activatePair(pair)
+      goOffline(pair)
+      send('login-result', { status:'ok', message:'Server nicht erreichbar – offline gestartet, Änderungen werden vorgemerkt', account, pair: pairInfo(pair) })
+      return true
+    }
+    await activatePair(pair)
+    setPairStatus(pair, 'idle')
+    refreshQuota(pair) // Bar on the card
 
     // Folder-selection mode: don't sync yet — let the UI fetch the folder list and confirm.
     if (selectFolders) {
-      event.sender.send('login-result', { status:'ok', message:'Login erfolgreich – bitte Ordner auswählen', mode:'select-folders' }) // Notify UI
-      return { status:'logged-in' } // Ack; sync starts after selection
+      send('login-result', { status:'ok', message:'Login erfolgreich – bitte Ordner auswählen', mode:'select-folders', account, pair: pairInfo(pair) }) // Notify UI
+      return true // Sync starts after selection
+    }
+
+    if (!initialSync) {
+      send('login-result', { status:'ok', message:'Login erfolgreich', account, pair: pairInfo(pair) })
+      return true // The caller picks the run
     }
 
-    event.sender.send('login-result', { status:'ok', message:'Login erfolgreich, initialer Sync startet' }) // Notify UI
+    send('login-result', { status:'ok', message:'Login erfolgreich, initialer Sync startet', account, pair: pairInfo(pair) }) // Notify UI
 
     // Initial sync down after login - Server to Client only
     setImmediate(async () => {
       try {
-        await performInitialSyncDown()
+        await performInitialSyncDown(pair)
         // Message is already sent by performInitialSyncDown()
       } catch (e) {
         console.error('Initial sync failed:', e?.message)
-        event.sender.send('sync-result', { status:'error', message: `Initialer Sync fehlgeschlagen: ${e?.message}` })
+        send('sync-result', { status:'error', message: `Initialer Sync fehlgeschlagen: ${e?.message}` })
       }
     })
 
-    return { status:'logged-in' } // Ack
+    return true
   } catch (e) {
+    pair.client = null // Don't keep a client that can't log in
+    pair.uploadsClient = null
+    pair.trashClient = null
+    pair.filesBaseUrl = null
+    pair.isConnected = false
+    if (stored && isAuthError(e)) { // Stored app password revoked or expired
+      console.warn('Stored credentials rejected, forgetting them')
+      await clearCredentials(pair)
+      send('login-result', { status:'error', reason:'credentials-invalid', message:'Gespeicherte Anmeldung ungültig (App-Passwort widerrufen oder abgelaufen) – bitte erneut anmelden', account })
+      return false
+    }
     const msg = e?.message || 'Login fehlgeschlagen' // Message
     console.error('Login error:', msg) // Log
-    event.sender.send('login-result', { status:'error', message: msg }) // Notify UI
-    return { status:'failed' } // Ack
+    logSync(pair, { op: 'login', result: 'error', code: errorCode(e), message: msg })
+    send('login-result', { status:'error', reason: isOfflineError(e) ? 'offline' : isAuthError(e) ? 'auth' : 'other', message: msg, account }) // Notify UI
+    return false
   }
-})
+}
 
-ipcMain.handle('logout', async () => {
-  client = null // Drop client
-  isSyncing = false // Reset lock
-  isConnected = false // Mark as disconnected
-  console.log('Logged out') // Log
-  return { status: 'logged-out' } // Ack
-})
+// Local side of a successful connect: folder, selection, offline queue, pair list.
+async function activatePair(pair) {
+  pair.isConnected = true // Mark as connected
+  if (!fssync.existsSync(pair.localRoot)) fssync.mkdirSync(pair.localRoot,{recursive:true}) // Ensure local root
+  await loadSelectedTopFolders(pair) // Apply any previously saved folder selection
+  await loadSyncQueue(pair) // Changes still waiting from an earlier session
+  if (!pairs.has(pair.id)) {
+    pairs.set(pair.id, pair)
+    await savePairs()
+  }
+}
 
-ipcMain.handle('get-version', async () => {
-  return { version: app.getVersion() } // Return version from package.json
-})
+// ---------- Sync folder location ----------
+// New pairs get a local folder from the login form (or --local), existing ones can move theirs
+// from the card. The state files (.sync-state.json, .sync-folders.json, queue, tree cache, trash)
+// live in the folder and move with it, so the next run continues without downloading again.
+// An admin lock on localRoot keeps every pair at the default place.
+const WRITE_PROBE = '.sync-write-test' // Created and removed right away to prove the folder is writable
 
-// New sync handlers
-ipcMain.handle('sync-down', async () => {
-  if (!client) return { status: 'no-client' } // Guard
-  if (isSyncing) return { status: 'already-syncing' } // Prevent concurrent syncs
-  
+function isSameOrInside(parent, child) {
+  const rel = path.relative(parent, child)
+  return rel === '' || (rel !== '..' && !rel.startsWith('..' + path.sep) && !path.isAbsolute(rel))
+}
+
+// Problem with localRoot as the sync folder of pair (null for a new one), as a German message;
+// null when it can be used. Two pairs may not share files, and the app has to be able to write.
+async function checkLocalRoot(localRoot, pair = null) {
+  if (!path.isAbsolute(localRoot)) return 'Bitte einen absoluten Pfad angeben'
+  for (const other of pairs.values()) {
+    if (other === pair || other.id === pair?.id) continue
+    if (isSameOrInside(other.localRoot, localRoot) || isSameOrInside(localRoot, other.localRoot)) {
+      return `Überschneidet sich mit dem Sync-Ordner von ${pairLabel(other)} (${other.localRoot})`
+    }
+  }
+  if (isSameOrInside(app.getPath('userData'), localRoot)) return 'Der Ordner liegt in den Daten der App'
+  let dir = localRoot // Nearest existing folder: the sync folder itself or where it will be created
+  while (!fssync.existsSync(dir) && path.dirname(dir) !== dir) dir = path.dirname(dir)
   try {
-    await performSyncDown()
-    return { status: 'success' }
+    if (!(await fs.stat(dir)).isDirectory()) return `${dir} ist kein Ordner`
+    const probe = path.join(dir, `${WRITE_PROBE}-${process.pid}`)
+    await fs.writeFile(probe, '')
+    await fs.rm(probe, { force: true })
   } catch (e) {
-    console.error('Sync down failed:', e?.message)
-    return { status: 'error', message: e?.message }
+    return `Keine Schreibrechte in ${dir} (${e?.code || e?.message})`
   }
-})
+  return null
+}
 
-ipcMain.handle('sync-up', async () => {
-  if (!client) return { status: 'no-client' } // Guard
-  if (isSyncing) return { status: 'already-syncing' } // Prevent concurrent syncs
+// Local folder from the login form / command line for the pair being logged in; message when it
+// can't be used. Pairs that already exist keep theirs (moving is a separate step).
+async function applyChosenLocalRoot(pair, localRoot) {
+  if (!localRoot) return null // Default place
+  const target = path.resolve(localRoot)
+  if (target === pair.localRoot) return null
+  if (pairs.has(pair.id)) return `Das Konto synchronisiert bereits nach ${pair.localRoot} – „Ordner verschieben“ auf seiner Karte ändert das`
+  if (isAdminLocked('localRoot')) return 'Der lokale Ordner ist vom Administrator festgelegt'
+  const problem = await checkLocalRoot(target, pair)
+  if (problem) return problem
+  pair.localRoot = target // Saved with the pair on connect
+  return null
+}
 
+// Move the whole sync folder. A rename where possible; across drives a copy with timestamps,
+// after which the snapshots take over the new mtimes (so nothing counts as changed) and the old
+// folder is removed. Holds the pair's lock, so no sync runs in between.
+async function moveLocalRoot(pair, target) {
+  if (isAdminLocked('localRoot')) return { status: 'error', message: 'Der lokale Ordner ist vom Administrator festgelegt' }
+  if (pair.isSyncing) return { status: 'already-syncing' }
+  const from = pair.localRoot
+  target = path.resolve(target)
+  if (target === from) return { status: 'ok', localRoot: from }
+  if (isSameOrInside(from, target)) return { status: 'error', message: 'Das Ziel liegt im bisherigen Sync-Ordner' }
+  const problem = await checkLocalRoot(target, pair)
+  if (problem) return { status: 'error', message: problem }
   try {
-    await performSyncUp()
-    return { status: 'success' }
+    if ((await fs.readdir(target)).length) return { status: 'error', message: 'Der Zielordner ist nicht leer' }
+    await fs.rmdir(target) // Empty → replaced by the moved folder
   } catch (e) {
-    console.error('Sync up failed:', e?.message)
-    return { status: 'error', message: e?.message }
+    if (e?.code !== 'ENOENT') return { status: 'error', message: e?.message }
   }
-})
 
-// List first-level folders with their (server-computed) recursive size, instantly.
-// Uses a single Depth:1 PROPFIND with details:true and reads Nextcloud's quota-used-bytes,
-// so no recursive scan is needed.
-ipcMain.handle('list-top-folders', async () => {
-  if (!client) return { status: 'no-client' } // Guard
+  pair.isSyncing = true // Lock
+  const watching = !!pair.pollTimer
+  stopAutoSync(pair) // The watcher holds the old folder
   try {
-    const list = await client.getDirectoryContents('/', { details: true }) // Raw props per entry
-    const items = list.data ?? list // details:true wraps results in { data }
-    const folders = []
-    for (const item of items) {
-      if (item.type !== 'directory') continue // top-level folders only
-      const name = item.basename || item.filename.replace(/^\/+|\/+$/g, '')
-      if (!name || shouldExcludePath(name)) continue // skip excluded
-      const props = item.props || {}
-      const rawSize = Number(props['quota-used-bytes']) // Nextcloud: recursive bytes used by this folder
-      const size = Number.isFinite(rawSize) && rawSize >= 0 ? rawSize : null // negatives = unknown
-      folders.push({ name, size }) // size may be null if server didn't report it
-    }
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    if (!fssync.existsSync(from)) {
+      await fs.mkdir(target) // Nothing to move; the next Sync Down fills it
+    } else {
+      try {
+        await fs.rename(from, target)
+      } catch (e) {
+        if (e?.code !== 'EXDEV') throw e
+        await copyLocalRoot(pair, from, target) // Other drive
+      }
+    }
+    pair.localRoot = target
+    if (pairs.has(pair.id)) await savePairs()
+  } catch (e) {
+    console.error('Moving the sync folder failed:', e?.message)
+    logSync(pair, { op: 'move', path: null, result: 'error', code: errorCode(e), message: e?.message, detail: `${from} → ${target}` })
+    return { status: 'error', message: `Verschieben fehlgeschlagen: ${e?.message}` }
+  } finally {
+    pair.isSyncing = false // Unlock
+    if (watching) startAutoSync(pair) // Watches whichever folder the pair has now
+  }
+  console.log(`Moved sync folder of ${pairLabel(pair)}: ${from} → ${target}`)
+  logSync(pair, { op: 'move', path: null, result: 'ok', detail: `${from} → ${target}` })
+  setPairStatus(pair, pair.status) // Cards show the new folder
+  return { status: 'ok', localRoot: target }
+}
+
+async function copyLocalRoot(pair, from, target) {
+  try {
+    await fs.cp(from, target, { recursive: true, preserveTimestamps: true, errorOnExist: true, force: false })
+    const state = await loadSyncState({ localRoot: target })
+    for (const [rel, entry] of Object.entries(state.files)) {
+      try {
+        const before = await fs.stat(path.join(from, ...rel.split('/')))
+        const after = await fs.stat(path.join(target, ...rel.split('/')))
+        if (entry.size === before.size && entry.mtimeMs === before.mtimeMs && after.size === before.size) entry.mtimeMs = after.mtimeMs // Copies can round the mtime
+      } catch { /* Gone meanwhile → the next run decides */ }
+    }
+    await saveSyncState({ localRoot: target }, state)
+  } catch (e) {
+    await fs.rm(target, { recursive: true, force: true }).catch(() => {}) // Half a copy; the old folder is untouched
+    throw e
+  }
+  try {
+    await fs.rm(from, { recursive: true, force: true })
+  } catch (e) {
+    console.warn(`Old sync folder ${from} could not be removed:`, e?.message)
+    sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Alter Ordner ${from} konnte nicht gelöscht werden – bitte von Hand entfernen` })
+  }
+}
+
+// Folder dialog for the login form and "Ordner verschieben"; the answer says whether it can be used.
+ipcMain.handle('choose-local-folder', async (_event, { pairId, defaultPath } = {}) => {
+  if (isAdminLocked('localRoot')) return { status: 'error', message: 'Der lokale Ordner ist vom Administrator festgelegt' }
+  const pair = pairId ? resolvePair(pairId) : null
+  const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+    title: pair ? `Neuer Sync-Ordner für ${pairLabel(pair)}` : 'Lokaler Sync-Ordner',
+    defaultPath: defaultPath || pair?.localRoot || settings.general.defaultLocalRoot,
+    properties: ['openDirectory', 'createDirectory', 'promptToCreate']
+  })
+  if (canceled || !filePaths?.length) return { status: 'cancelled' }
+  const localRoot = filePaths[0]
+  return { status: 'ok', path: localRoot, problem: await checkLocalRoot(localRoot, pair) }
+})
+
+ipcMain.handle('move-local-root', async (_event, { pairId, target } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  if (!target) return { status: 'error', message: 'Kein Zielordner angegeben' }
+  return moveLocalRoot(pair, target)
+})
+
+// Folders of an account for the login form's remote folder picker, before the pair exists.
+// Uses the password from the form, else the stored login of the same account.
+ipcMain.handle('list-remote-folders', async (_event, { server, username, password, path: relPath } = {}) => {
+  if (isAdminLocked('server')) server = admin.config.server
+  server = String(server || '').trim().replace(/\/+$/, '')
+  if (!server || !username) return { status: 'error', message: 'Bitte Server und Benutzername angeben' }
+  let loginName = username
+  if (!password) { // Stored login of this account (typed as login name or user id)
+    const stored = (await loadCredentials()).find((creds) => creds.server === server && (creds.username === username || creds.loginName === username))
+    if (stored) ({ username, loginName, appPassword: password } = stored)
+  }
+  if (!password) return { status: 'error', message: 'Bitte das Passwort eingeben, um die Ordner auf dem Server zu sehen' }
+  const clean = normalizeRemoteBase(relPath)
+  const client = createClient(`${server}/remote.php/dav/files/${encodeURIComponent(username)}/`, { username: loginName, password }) // Account root
+  try {
+    const list = await client.getDirectoryContents('/' + clean, { details: true, data: FOLDER_PROPFIND })
+    const folders = list.data
+      .filter((item) => item.type === 'directory')
+      .map((item) => ({ name: item.basename, path: clean ? `${clean}/${item.basename}` : item.basename, ...folderAccess(item.props) }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+    return { status: 'ok', path: clean, folders }
+  } catch (e) {
+    console.error('list-remote-folders failed:', e?.message)
+    return { status: 'error', message: isAuthError(e) ? 'Anmeldung abgelehnt – Benutzername und Passwort prüfen' : e?.message }
+  }
+})
+
+// ---------- Login with browser (Login Flow v2) ----------
+let loginFlowAbort = null // AbortController of a running browser login
+
+ipcMain.handle('login-browser', async (event, { server, selectFolders, remember, remoteBase, localRoot }) => {
+  const notify = (channel, payload) => event.sender.send(channel, payload)
+  if (isAdminLocked('server')) server = admin.config.server // The form can't pick another server
+  if (isAdminLocked('folders')) selectFolders = false // The admin's selection applies
+  loginFlowAbort?.abort() // Only one browser login at a time
+  const abort = new AbortController()
+  loginFlowAbort = abort
+  try {
+    notify('sync-result', { status:'info', message:'Bitte die Anmeldung im Browser abschließen…' })
+    const creds = await loginFlowV2(server, { openUrl: (url) => shell.openExternal(url), signal: abort.signal })
+    const pair = pairForAccount(creds.server, creds.username, remoteBase)
+    if (pair.isConnected) {
+      await revokeAppPassword(creds.server, creds.loginName, creds.appPassword) // Unused → don't leave it behind
+      notify('login-result', { pairId: pair.id, status:'error', message:'Dieses Konto ist bereits verbunden' })
+      return { status: 'failed', pairId: pair.id }
+    }
+    const problem = await applyChosenLocalRoot(pair, localRoot)
+    if (problem) {
+      await revokeAppPassword(creds.server, creds.loginName, creds.appPassword) // Unused → don't leave it behind
+      notify('login-result', { pairId: pair.id, status:'error', message: problem })
+      return { status: 'failed', pairId: pair.id }
+    }
+    await revokeSessionAppPassword(pair) // Replaced by the new app password
+    pair.loginName = creds.loginName
+    const ok = await connectAccount(pair, creds.appPassword, { selectFolders }, notify)
+    if (!ok) {
+      await revokeAppPassword(creds.server, creds.loginName, creds.appPassword) // Unused → don't leave it behind
+      return { status: 'failed', pairId: pair.id }
+    }
+    await clearCredentials(pair, { revoke: true }) // Replace (or, unticked, forget) an older stored login
+    if (remember) await rememberAccount(pair, creds.appPassword, { isAppPassword: true })
+    else pair.sessionAppPassword = creds
+    return { status: 'logged-in', pairId: pair.id }
+  } catch (e) {
+    if (e?.credentials) await revokeAppPassword(e.credentials.server, e.credentials.loginName, e.credentials.appPassword) // Approved, but the user id lookup failed
+    if (abort.signal.aborted) {
+      notify('login-result', { status:'error', message:'Browser-Anmeldung abgebrochen' })
+      return { status: 'cancelled' }
+    }
+    const msg = e?.message || 'Browser-Anmeldung fehlgeschlagen'
+    console.error('Login flow error:', msg)
+    notify('login-result', { status:'error', message: msg })
+    return { status: 'failed' }
+  } finally {
+    if (loginFlowAbort === abort) loginFlowAbort = null
+  }
+})
+
+ipcMain.handle('login-browser-cancel', async () => {
+  loginFlowAbort?.abort() // Stops polling; the handler above reports the cancel
+  return { status: 'ok' }
+})
+
+async function revokeSessionAppPassword(pair) {
+  const flowCreds = pair.sessionAppPassword // Unstored app password from Login Flow
+  pair.sessionAppPassword = null
+  if (flowCreds) await revokeAppPassword(flowCreds.server, flowCreds.loginName, flowCreds.appPassword)
+}
+
+// Sign one pair out; the pair itself (and its local folder) stays in the list.
+async function logoutPair(pair) {
+  const flowCreds = pair.sessionAppPassword
+  disconnect(pair)
+  await clearCredentials(pair, { revoke: true }) // Explicit logout also ends "Angemeldet bleiben"
+  if (flowCreds) await revokeAppPassword(flowCreds.server, flowCreds.loginName, flowCreds.appPassword)
+  console.log(`Logged out: ${pairLabel(pair)}`) // Log
+}
+
+ipcMain.handle('logout', async (_event, { pairId } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  await logoutPair(pair)
+  return { status: 'logged-out', pairId: pair.id } // Ack
+})
+
+// Sign out and forget the pair. Its local folder is left on disk untouched.
+ipcMain.handle('remove-pair', async (_event, { pairId } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  if (pair.isSyncing) return { status: 'already-syncing' }
+  await logoutPair(pair)
+  pairs.delete(pair.id)
+  await savePairs()
+  updateTray()
+  return { status: 'removed', pairId: pair.id }
+})
+
+function disconnect(pair) {
+  cancelRun(pair) // A running sync stops with the session
+  stopAutoSync(pair) // No background syncs without a session
+  clearTimeout(pair.offlineTimer) // No reconnect probes either
+  pair.offlineTimer = null
+  pair.client = null // Drop client
+  pair.uploadsClient = null // Drop chunk client
+  pair.trashClient = null // Drop trashbin client
+  pair.filesBaseUrl = null
+  pair.isConnected = false // Mark as disconnected (a cancelled run releases isSyncing itself when it has unwound)
+  pair.sessionAppPassword = null
+  setPairStatus(pair, 'disconnected')
+}
+
+// A sync hit 401: the password or app password no longer works (revoked, expired, changed).
+// Drop the pair's session and stored login and send the UI back to the login form with the reason.
+async function handleAuthFailure(pair) {
+  if (!pair.isConnected) return // Already handled
+  const account = { server: pair.server, username: pair.username, remoteBase: pair.remoteBase }
+  console.warn(`Credentials for ${pairLabel(pair)} rejected by server, signing out`)
+  logSync(pair, { op: 'login', result: 'error', code: 401, message: 'Anmeldung vom Server abgelehnt, abgemeldet' })
+  disconnect(pair)
+  await clearCredentials(pair)
+  sendPairEvent(pair, 'login-result', { status:'error', reason:'credentials-invalid', message:'Anmeldung abgelaufen oder App-Passwort widerrufen – bitte erneut anmelden', account })
+}
+
+// ---------- Stored credentials ("Angemeldet bleiben") ----------
+// Opt-in: a Nextcloud app password (never the account password) is encrypted with Electron
+// safeStorage (OS keychain / DPAPI / libsecret) and kept in userData. Without a real keyring
+// (safeStorage falls back to plain obfuscation on Linux) nothing is stored.
+// v2 keeps one entry per sync pair: { v: 2, accounts: { <pairId>: { server, username, remoteBase, appPassword } } }.
+const CREDENTIALS_FILE = 'credentials.json' // In Electron userData, never in the sync folder
+
+function credentialsFilePath() {
+  return path.join(app.getPath('userData'), CREDENTIALS_FILE) // Absolute path
+}
+
+function canStoreCredentials() {
+  if (!safeStorage.isEncryptionAvailable()) return false
+  if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend() === 'basic_text') return false // No keyring
+  return true
+}
+
+// Trade the login password for an app password via OCS. A password that already is an app
+// password is answered with 403 and kept as-is.
+async function fetchAppPassword(server, username, password) {
+  const res = await fetch(`${server}/ocs/v2.php/core/getapppassword`, {
+    headers: {
+      'OCS-APIRequest': 'true',
+      Accept: 'application/json',
+      Authorization: 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64')
+    }
+  })
+  if (res.status === 403) return password // Already an app password
+  if (!res.ok) throw new Error(`HTTP ${res.status}`)
+  const data = await res.json()
+  const appPassword = data?.ocs?.data?.apppassword
+  if (!appPassword) throw new Error('Keine App-Passwort-Antwort')
+  return appPassword
+}
+
+// Stored entries by pair id, app passwords still encrypted. A v1 file (single account)
+// becomes the entry of that account's pair without a remote base folder.
+async function readCredentialsFile() {
+  try {
+    const data = JSON.parse(await fs.readFile(credentialsFilePath(), 'utf8'))
+    if (data?.v === 2 && data.accounts && typeof data.accounts === 'object') return { ...data.accounts }
+    if (data?.server && data?.username && data?.appPassword) {
+      return { [makePairId(data.server, data.username, '')]: { server: data.server, username: data.username, remoteBase: '', appPassword: data.appPassword } }
+    }
+  } catch {
+    // Missing or corrupt → nothing stored
+  }
+  return {}
+}
+
+async function writeCredentialsFile(accounts) {
+  if (!Object.keys(accounts).length) {
+    try { await fs.unlink(credentialsFilePath()) } catch { /* nothing stored */ }
+    return
+  }
+  await fs.mkdir(path.dirname(credentialsFilePath()), { recursive: true })
+  await fs.writeFile(credentialsFilePath(), JSON.stringify({ v: 2, accounts }, null, 0), { encoding: 'utf8', mode: 0o600 }) // Owner-only
+}
+
+// isAppPassword: the password already is an app password (Login Flow) → store it directly.
+async function rememberAccount(pair, password, { isAppPassword = false } = {}) {
+  if (!canStoreCredentials()) {
+    sendPairEvent(pair, 'sync-result', { status:'warning', message:'Kein sicherer Schlüsselspeicher verfügbar – Anmeldung wird nicht gespeichert' })
+    return
+  }
+  try {
+    const appPassword = isAppPassword ? password : await fetchAppPassword(pair.server, pair.loginName, password)
+    const accounts = await readCredentialsFile()
+    accounts[pair.id] = {
+      server: pair.server,
+      username: pair.username,
+      loginName: pair.loginName,
+      remoteBase: pair.remoteBase,
+      appPassword: safeStorage.encryptString(appPassword).toString('base64') // Encrypted at rest
+    }
+    await writeCredentialsFile(accounts)
+  } catch (e) {
+    console.error('Could not store credentials:', e?.message)
+    sendPairEvent(pair, 'sync-result', { status:'warning', message:`Anmeldung konnte nicht gespeichert werden: ${e?.message}` })
+  }
+}
+
+// Decrypted stored logins as [{ id, server, username, loginName, remoteBase, appPassword }].
+async function loadCredentials() {
+  if (!safeStorage.isEncryptionAvailable()) return [] // Keyring locked/unavailable this session
+  const result = []
+  for (const [id, entry] of Object.entries(await readCredentialsFile())) {
+    if (!entry?.server || !entry?.username || !entry?.appPassword) continue
+    try {
+      const appPassword = safeStorage.decryptString(Buffer.from(entry.appPassword, 'base64'))
+      result.push({ id, server: entry.server, username: entry.username, loginName: entry.loginName || entry.username, remoteBase: entry.remoteBase || '', appPassword })
+    } catch {
+      // Not decryptable (e.g. other OS user) → manual login for this pair
+    }
+  }
+  return result
+}
+
+// Forget the pair's stored login. With revoke, the app password is also deleted on the server
+// (best effort — the entry is removed either way).
+async function clearCredentials(pair, { revoke = false } = {}) {
+  if (revoke) {
+    const creds = (await loadCredentials()).find((c) => c.id === pair.id)
+    if (creds) await revokeAppPassword(creds.server, creds.loginName, creds.appPassword)
+  }
+  const accounts = await readCredentialsFile()
+  if (!(pair.id in accounts)) return
+  delete accounts[pair.id]
+  try { await writeCredentialsFile(accounts) } catch (e) { console.warn('Could not update stored credentials:', e?.message) }
+}
+
+// Delete an app password on the server (OCS, authenticated with that app password and its login name).
+async function revokeAppPassword(server, loginName, appPassword) {
+  try {
+    await fetch(`${server}/ocs/v2.php/core/apppassword`, {
+      method: 'DELETE',
+      headers: {
+        'OCS-APIRequest': 'true',
+        Authorization: 'Basic ' + Buffer.from(`${loginName}:${appPassword}`).toString('base64')
+      }
+    })
+  } catch (e) {
+    console.warn('Could not revoke app password:', e?.message)
+  }
+}
+
+// Startup: reconnect every pair with a stored app password, so the final sync on shutdown works
+// without the user having typed anything since boot. A login stored before pairs existed
+// (credentials v1, no pairs.json) becomes the first pair on ~/Nextcloud-Temp.
+async function autoLogin() {
+  for (const creds of await loadCredentials()) {
+    const pair = pairs.get(creds.id) ?? pairForAccount(creds.server, creds.username, creds.remoteBase)
+    if (pair.isConnected) continue
+    pair.loginName = creds.loginName // What the app password belongs to
+    console.log(`Auto-login as ${creds.username}`)
+    sendPairEvent(pair, 'sync-result', { status:'info', message:`Automatische Anmeldung als ${creds.username}…` })
+    await connectAccount(pair, creds.appPassword, {}, frontend.send, { stored: true })
+  }
+}
+
+ipcMain.handle('get-version', async () => {
+  return { version: app.getVersion() } // Return version from package.json
+})
+
+// New sync handlers. pairId picks the sync pair; it may be left out while only one pair exists.
+ipcMain.handle('sync-down', async (_event, { pairId, review } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.client) return { status: 'no-client' } // Guard
+  if (pair.isSyncing) return { status: 'already-syncing' } // Prevent concurrent syncs
+
+  try {
+    await performSyncDown(pair, { review: reviewFromUi(review) })
+    return { status: 'success' }
+  } catch (e) {
+    console.error('Sync down failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  }
+})
+
+ipcMain.handle('sync', async (_event, { pairId, review } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.client) return { status: 'no-client' } // Guard
+  if (pair.isSyncing) return { status: 'already-syncing' } // Prevent concurrent syncs
+
+  try {
+    await performSync(pair, { review: reviewFromUi(review) })
+    return { status: 'success' }
+  } catch (e) {
+    console.error('Sync failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  }
+})
+
+ipcMain.handle('sync-up', async (_event, { pairId, review } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.client) return { status: 'no-client' } // Guard
+  if (pair.isSyncing) return { status: 'already-syncing' } // Prevent concurrent syncs
+
+  try {
+    await performSyncUp(pair, null, { review: reviewFromUi(review) })
+    return { status: 'success' }
+  } catch (e) {
+    console.error('Sync up failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  }
+})
+
+// Props for the folder tree: recursive size plus what the badges need (shared, read-only).
+const FOLDER_PROPFIND = `<?xml version="1.0"?>
+<d:propfind xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+  <d:prop>
+    <d:resourcetype/>
+    <d:quota-used-bytes/>
+    <oc:permissions/>
+    <oc:share-types/>
+  </d:prop>
+</d:propfind>`
+
+// List first-level folders with their (server-computed) recursive size, instantly.
+// Uses a single Depth:1 PROPFIND with details:true and reads Nextcloud's quota-used-bytes,
+// so no recursive scan is needed.
+ipcMain.handle('list-top-folders', async (_event, { pairId } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.client) return { status: 'no-client' } // Guard
+  try {
+    refreshIgnoreRules(pair) // Current .syncignore files
+    const list = await pair.client.getDirectoryContents('/', { details: true, data: FOLDER_PROPFIND }) // Raw props per entry
+    const items = list.data ?? list // details:true wraps results in { data }
+    const folders = []
+    for (const item of items) {
+      if (item.type !== 'directory') continue // top-level folders only
+      const name = item.basename || item.filename.replace(/^\/+|\/+$/g, '')
+      if (!name || await isExcluded(pair, name, true)) continue // skip excluded
+      const props = item.props || {}
+      const rawSize = Number(props['quota-used-bytes']) // Nextcloud: recursive bytes used by this folder
+      const size = Number.isFinite(rawSize) && rawSize >= 0 ? rawSize : null // negatives = unknown
+      folders.push({ name, size, ...folderAccess(props) }) // size may be null if server didn't report it
+    }
     folders.sort((a, b) => (b.size ?? 0) - (a.size ?? 0)) // Biggest first
     return {
       status: 'ok',
       folders,
-      selected: selectedPaths ? [...selectedPaths] : null, // Saved selected paths (any depth); null = all
+      selected: pair.selectedPaths ? [...pair.selectedPaths] : null, // Saved selected paths (any depth); null = all
     }
   } catch (e) {
     console.error('list-top-folders failed:', e?.message)
@@ -284,23 +1523,24 @@ ipcMain.handle('list-top-folders', async () => {
 
 // List the immediate sub-folders of a given top-level folder (lazy, on expand).
 // Same instant single Depth:1 PROPFIND as list-top-folders, scoped to one path.
-ipcMain.handle('list-subfolders', async (_event, { path: relPath }) => {
-  if (!client) return { status: 'no-client' } // Guard
+ipcMain.handle('list-subfolders', async (_event, { pairId, path: relPath }) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.client) return { status: 'no-client' } // Guard
   const clean = String(relPath || '').replace(/^\/+|\/+$/g, '') // Normalize POSIX rel path
   if (!clean) return { status: 'error', message: 'Kein Pfad angegeben' }
   try {
-    const list = await client.getDirectoryContents('/' + clean, { details: true }) // Raw props per entry
+    const list = await pair.client.getDirectoryContents('/' + clean, { details: true, data: FOLDER_PROPFIND }) // Raw props per entry
     const items = list.data ?? list // details:true wraps results in { data }
     const folders = []
     for (const item of items) {
       if (item.type !== 'directory') continue // sub-folders only
       const name = item.basename || item.filename.replace(/^\/+|\/+$/g, '').split('/').pop()
-      if (!name || shouldExcludePath(name)) continue // skip excluded
       const childPath = clean + '/' + name // Full POSIX path used for selection
+      if (!name || await isExcluded(pair, childPath, true)) continue // skip excluded
       const props = item.props || {}
       const rawSize = Number(props['quota-used-bytes']) // Nextcloud: recursive bytes used by this folder
       const size = Number.isFinite(rawSize) && rawSize >= 0 ? rawSize : null // negatives = unknown
-      folders.push({ name, path: childPath, size })
+      folders.push({ name, path: childPath, size, ...folderAccess(props) })
     }
     folders.sort((a, b) => (b.size ?? 0) - (a.size ?? 0)) // Biggest first
     return { status: 'ok', folders }
@@ -313,16 +1553,18 @@ ipcMain.handle('list-subfolders', async (_event, { path: relPath }) => {
 // Persist the user's folder selection, then run the initial sync down for the chosen scope.
 // paths === null (or empty array meaning "all") clears the filter and syncs everything.
 // paths = selected folder paths at any depth; each syncs everything beneath it.
-ipcMain.handle('set-selected-folders', async (_event, { paths }) => {
-  if (!client) return { status: 'no-client' } // Guard
+ipcMain.handle('set-selected-folders', async (_event, { pairId, paths }) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.client) return { status: 'no-client' } // Guard
+  if (isAdminLocked('folders')) return { status: 'locked', message: 'Die Ordnerauswahl ist vom Administrator festgelegt' }
   try {
-    await saveSelectedTopFolders(Array.isArray(paths) ? paths : null) // Update + persist
+    await saveSelectedTopFolders(pair, Array.isArray(paths) ? paths : null) // Update + persist
     setImmediate(async () => {
       try {
-        await performInitialSyncDown()
+        await performInitialSyncDown(pair)
       } catch (e) {
         console.error('Initial sync failed:', e?.message)
-        win?.webContents?.send('sync-result', { status:'error', message: `Initialer Sync fehlgeschlagen: ${e?.message}` })
+        sendPairEvent(pair, 'sync-result', { status:'error', message: `Initialer Sync fehlgeschlagen: ${e?.message}` })
       }
     })
     return { status: 'ok' }
@@ -332,120 +1574,855 @@ ipcMain.handle('set-selected-folders', async (_event, { paths }) => {
   }
 })
 
+// Rules for the "Ignorier-Regeln" dialog: fixed internal + default rules, editable global list.
+// The default list is edited in the settings screen.
+ipcMain.handle('get-ignore-rules', async () => {
+  return {
+    status: 'ok',
+    internal: INTERNAL_IGNORE_RULES.map((r) => r.pattern),
+    admin: adminIgnoreRules.map((r) => r.pattern), // Mandatory, from the admin configuration
+    defaults: settings.ignore.defaults,
+    global: settings.ignore.global
+  }
+})
+
+ipcMain.handle('set-global-ignore', async (_event, { text }) => {
+  try {
+    const result = await updateSettings({ ignore: { global: String(text || '') } }) // Resets every pair's matcher
+    if (result.status !== 'ok') return result
+    return { status: 'ok', rules: globalIgnoreRules.length }
+  } catch (e) {
+    console.error('set-global-ignore failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  }
+})
+
+// Which rule decides a path of the pair (relative to its local folder).
+// rule is null when no rule applies; a negated rule means "synced despite an earlier match".
+ipcMain.handle('check-ignore', async (_event, { pairId, path: relPath }) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  const rel = String(relPath || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '') // Normalize POSIX rel path
+  if (!rel) return { status: 'error', message: 'Kein Pfad angegeben' }
+  let isDir = String(relPath).endsWith('/')
+  try { isDir = (await fs.stat(path.join(pair.localRoot, ...rel.split('/')))).isDirectory() } catch { /* Not local → trust the trailing slash */ }
+  const verdict = await refreshIgnoreRules(pair).check(rel, isDir)
+  const rule = verdict ? { pattern: verdict.rule.pattern, source: verdict.rule.source, line: verdict.rule.line, negate: verdict.rule.negate } : null
+  return { status: 'ok', path: rel, isDir, ignored: !!verdict?.ignored, rule }
+})
+
+// ---------- Preview (dry run) ----------
+// Runs the decision logic of a two-way sync, a Sync Down or a Sync Up — remote scan, folder selection and ignore
+// rules, three-way comparison, deletion detection — without touching a file, and returns the
+// plan as a list of { path, action, size }. The UI lets the user untick entries and then starts
+// the real run with the result as its review (see reviewFromUi): unticked transfers are skipped,
+// and only deletions that were shown and kept ticked happen, without the mass-deletion dialog.
+// Anything that changed since the preview is planned again by the real run.
+async function previewSync(pair, direction) {
+  pair.isSyncing = true // No run alongside (scans share the tree cache); the status stays as it is
+  refreshIgnoreRules(pair)
+  try {
+    const syncState = await loadSyncState(pair) // In-memory only: planning may refresh snapshots, nothing is saved
+    const remoteTree = await scanRemoteTree(pair, { saveCache: false })
+    const items = []
+    if (direction === 'both') {
+      const localFiles = await collectLocalFiles(pair, '', new Set())
+      const plan = await planSync(pair, remoteTree, localFiles, syncState, { dryRun: true })
+      for (const { rel, abs, item, change } of plan.downloads) {
+        const action = change === 'conflict' ? 'conflict' : fssync.existsSync(abs) ? 'overwrite-local' : 'download'
+        items.push({ path: rel, action, size: item.size ?? null })
+      }
+      for (const entry of plan.uploads) items.push({ path: entry.rel, action: entry.remoteItem ? 'overwrite-remote' : 'upload', size: entry.localStats.size })
+      for (const rel of plan.deleteLocal) items.push({ path: rel, action: 'delete-local', size: syncState.files[rel]?.size ?? null })
+      for (const rel of plan.deleteRemote) items.push({ path: rel, action: 'delete-remote', size: remoteTree.files.get(rel)?.size ?? null })
+    } else if (direction === 'down') {
+      for (const { rel, abs, item, change } of await planDownloads(pair, remoteTree, syncState, { dryRun: true })) {
+        const action = change === 'conflict' ? 'conflict' : fssync.existsSync(abs) ? 'overwrite-local' : 'download'
+        items.push({ path: rel, action, size: item.size ?? null })
+      }
+      const { stale, changed } = await findRemoteDeletions(pair, syncState, remoteTree)
+      for (const rel of stale) items.push({ path: rel, action: 'delete-local', size: syncState.files[rel]?.size ?? null })
+      for (const rel of changed) items.push({ path: rel, action: 'keep-local', size: null }) // Informational
+    } else {
+      const localFiles = await collectLocalFiles(pair, '', new Set())
+      for (const entry of await planUploads(pair, localFiles, syncState, remoteTree)) {
+        const action = entry.change === 'conflict' ? 'conflict' : entry.remoteItem ? 'overwrite-remote' : 'upload'
+        items.push({ path: entry.rel, action, size: entry.change === 'conflict' ? entry.remoteItem.size : entry.localStats.size })
+      }
+      for (const rel of getFilesToDelete(remoteTree, localFiles, syncState)) items.push({ path: rel, action: 'delete-remote', size: remoteTree.files.get(rel)?.size ?? null })
+    }
+    items.sort((a, b) => a.path.localeCompare(b.path))
+    return items
+  } finally {
+    pair.isSyncing = false
+  }
+}
+
+// Review from the preview overlay: { exclude: [path], deletions: [path] } → Sets, or null.
+function reviewFromUi(review) {
+  if (!review) return null
+  return {
+    exclude: new Set(Array.isArray(review.exclude) ? review.exclude : []), // Unticked transfers
+    deletions: new Set(Array.isArray(review.deletions) ? review.deletions : []) // Ticked deletions
+  }
+}
+
+ipcMain.handle('preview-sync', async (_event, { pairId, direction }) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.client) return { status: 'no-client' } // Guard
+  if (pair.isSyncing) return { status: 'already-syncing' }
+  if (!['both', 'down', 'up'].includes(direction)) return { status: 'error', message: 'Unbekannte Richtung' }
+  try {
+    const items = await previewSync(pair, direction)
+    return { status: 'ok', direction, items }
+  } catch (e) {
+    console.error('Preview failed:', e?.message)
+    if (isAuthError(e)) setImmediate(() => handleAuthFailure(pair))
+    return { status: 'error', message: e?.message }
+  }
+})
+
+// ---------- Cancel / pause ----------
+// Each run owns an AbortController (pair.run). Cancel aborts in-flight WebDAV requests; pause lets
+// them finish and holds the run at its next checkpoint (every WebDAV attempt via withRetry, every
+// planned file and walker step). Either way the run's finally block still saves .sync-state.json
+// for the files that did finish, so the next run only picks up the rest.
+function beginRun(pair) {
+  pair.run = { controller: new AbortController(), paused: false, pausedUntil: null, unpause: null, notified: new Set() }
+  pair.quotaExceeded = false // Each run tries again
+  return pair.run
+}
+
+// run: the handle beginRun returned; a later run's handle is left alone.
+function endRun(pair, run) {
+  run.unpause?.() // Nobody waits on a finished run
+  if (pair.run === run) pair.run = null
+}
+
+function runSignal(pair) {
+  return pair.run?.controller.signal ?? null
+}
+
+function cancelledError() {
+  return Object.assign(new Error('Sync abgebrochen'), { code: 'ECANCELED' })
+}
+
+function isCancelError(error) {
+  return error?.code === 'ECANCELED' || error?.name === 'AbortError'
+}
+
+// Waits while the run is paused; throws cancelledError() once it was cancelled.
+async function checkpoint(pair) {
+  const run = pair.run
+  if (!run) return
+  if (run.paused) await run.pausedUntil
+  if (run.controller.signal.aborted) throw cancelledError()
+}
+
+function pauseRun(pair) {
+  const run = pair.run
+  if (!run || run.paused || run.controller.signal.aborted) return false
+  run.paused = true
+  run.pausedUntil = new Promise((resolve) => { run.unpause = resolve })
+  console.log(`Sync paused: ${pairLabel(pair)}`)
+  setPairStatus(pair, 'paused')
+  return true
+}
+
+function resumeRun(pair) {
+  const run = pair.run
+  if (!run?.paused) return false
+  run.paused = false
+  run.unpause()
+  if (pair.progress) pair.progress.sample = null // Don't count the pause into the throughput
+  console.log(`Sync resumed: ${pairLabel(pair)}`)
+  setPairStatus(pair, 'syncing')
+  return true
+}
+
+function cancelRun(pair) {
+  const run = pair.run
+  if (!run || run.controller.signal.aborted) return false
+  console.log(`Cancelling sync: ${pairLabel(pair)}`)
+  run.controller.abort()
+  if (run.paused) { run.paused = false; run.unpause() } // Let waiting lanes see the cancel
+  return true
+}
+
+ipcMain.handle('cancel-sync', async (_event, { pairId } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  return cancelRun(pair) ? { status: 'cancelling', pairId: pair.id } : { status: 'not-syncing', pairId: pair.id }
+})
+
+ipcMain.handle('pause-sync', async (_event, { pairId } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  return pauseRun(pair) ? { status: 'paused', pairId: pair.id } : { status: 'not-syncing', pairId: pair.id }
+})
+
+ipcMain.handle('resume-sync', async (_event, { pairId } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  return resumeRun(pair) ? { status: 'resumed', pairId: pair.id } : { status: 'not-paused', pairId: pair.id }
+})
+
+// ---------- Progress ----------
+// Every run plans its transfers first (files + bytes per direction), then works through the plan
+// and reports structured 'sync-progress' events: { run, phase: 'scan' | 'transfer' | 'done',
+// filesDone/filesTotal, bytesDone/bytesTotal, bytesPerSecond, etaSeconds, current, planned }.
+// Bytes are counted while they stream, so a single large file moves the bar as well.
+const PROGRESS_INTERVAL_MS = 250 // Max event rate per pair (forced events ignore it)
+const PROGRESS_RATE_WINDOW_MS = 1000 // Throughput sample length
+
+function startProgress(pair, run) {
+  pair.progress = {
+    run, // 'initial' | 'sync' | 'down' | 'up'
+    phase: 'scan', // Scanning and planning until the first planProgress()
+    filesDone: 0, filesTotal: 0,
+    filesFailed: 0, // Also counted in filesDone
+    bytesDone: 0, bytesTotal: 0,
+    planned: { download: { files: 0, bytes: 0 }, upload: { files: 0, bytes: 0 } },
+    current: null, // Path of the latest transfer
+    rate: 0, // Smoothed bytes per second
+    sample: null, // { at, bytes } start of the current rate window
+    lastEmit: 0
+  }
+  emitProgress(pair, true)
+}
+
+// Add planned transfers (sizes in bytes) for one direction: 'download' | 'upload'.
+function planProgress(pair, direction, sizes) {
+  const p = pair.progress
+  if (!p) return
+  const bytes = sizes.reduce((sum, size) => sum + (size || 0), 0)
+  p.planned[direction].files += sizes.length
+  p.planned[direction].bytes += bytes
+  p.filesTotal += sizes.length
+  p.bytesTotal += bytes
+  p.phase = 'transfer'
+  emitProgress(pair, true)
+}
+
+const RUN_DIRECTIONS = { initial: 'down', down: 'down', up: 'up', sync: 'both' }
+
+function endProgress(pair) {
+  if (!pair.progress) return
+  const p = pair.progress
+  const error = pair.run?.error
+  const result = pair.run?.controller.signal.aborted ? 'cancelled' : pair.status === 'offline' ? 'offline' : error ? 'error' : 'ok'
+  logSync(pair, { op: 'run', direction: RUN_DIRECTIONS[p.run], result, code: errorCode(error), message: error?.message ?? null, detail: `${p.run}: ${p.filesDone}/${p.filesTotal} Dateien, ${p.filesFailed} fehlgeschlagen` })
+  pair.progress.phase = 'done'
+  pair.progress.current = null
+  emitProgress(pair, true)
+  pair.progress = null
+  updateTrayTooltip()
+  if (pair.status !== 'offline') refreshQuota(pair) // The run changed what is used
+}
+
+// Progress of one planned file. finish() must be called exactly once, also when the file was
+// skipped or failed: its bytes then count as handled so the total still adds up. A failed file
+// is reported once via fail() as well.
+function trackTransfer(pair, relPosix, size) {
+  const p = pair.progress
+  const pieces = new Map() // piece → bytes counted in its latest attempt
+  let counted = 0
+  let finished = false
+  let failed = false
+  if (p) { p.current = relPosix; emitProgress(pair) }
+  const add = (n) => {
+    counted += n
+    if (p) { p.bytesDone += n; emitProgress(pair) }
+  }
+  return {
+    // Counting pass-through for one piece (the whole file or one chunk). A new meter for the same
+    // piece replaces the previous attempt's count, so retries don't inflate the progress.
+    meter(source, piece = 'file') {
+      add(-(pieces.get(piece) || 0))
+      pieces.set(piece, 0)
+      const counter = new Transform({
+        transform(chunk, _encoding, callback) {
+          pieces.set(piece, pieces.get(piece) + chunk.length)
+          add(chunk.length)
+          callback(null, chunk)
+        }
+      })
+      pipeStreams(source, counter, () => {}) // Errors destroy both ends; the consumer sees them
+      return counter
+    },
+    skip(bytes) { add(bytes) }, // Already on the other side (resumed chunks)
+    fail() {
+      if (failed) return
+      failed = true
+      if (p) p.filesFailed++
+    },
+    finish() {
+      if (finished) return
+      finished = true
+      if (!p) return
+      add(size - counted)
+      p.filesDone++
+      emitProgress(pair)
+    }
+  }
+}
+
+// Pass a stream through the transfer's byte counter (unchanged without one).
+function metered(transfer, source, piece) {
+  return transfer ? transfer.meter(source, piece) : source
+}
+
+function emitProgress(pair, force = false) {
+  const p = pair.progress
+  if (!p) return
+  const now = Date.now()
+  if (!force && now - p.lastEmit < PROGRESS_INTERVAL_MS) return
+  p.lastEmit = now
+  if (p.phase === 'transfer') {
+    if (!p.sample) p.sample = { at: now, bytes: p.bytesDone }
+    else if (now - p.sample.at >= PROGRESS_RATE_WINDOW_MS) {
+      const rate = (p.bytesDone - p.sample.bytes) * 1000 / (now - p.sample.at)
+      p.rate = p.rate ? p.rate * 0.7 + rate * 0.3 : rate // Smoothed so one slow chunk doesn't swing the ETA
+      p.sample = { at: now, bytes: p.bytesDone }
+    }
+  }
+  const bytesDone = Math.max(0, Math.min(p.bytesDone, p.bytesTotal)) // Files may change size mid-run
+  sendPairEvent(pair, 'sync-progress', {
+    run: p.run,
+    phase: p.phase,
+    filesDone: p.filesDone,
+    filesTotal: p.filesTotal,
+    filesFailed: p.filesFailed,
+    bytesDone,
+    bytesTotal: p.bytesTotal,
+    bytesPerSecond: Math.round(p.rate),
+    etaSeconds: p.rate > 0 ? Math.round((p.bytesTotal - bytesDone) / p.rate) : null,
+    current: p.current,
+    planned: p.planned
+  })
+  updateTrayTooltip()
+}
+
+// Short German summary for the tray tooltip, e.g. "45 % (12/30 Dateien, noch ~2 min)".
+function progressSummary(p) {
+  const percent = p.bytesTotal ? Math.floor(Math.min(p.bytesDone, p.bytesTotal) * 100 / p.bytesTotal) : 0
+  const eta = p.rate > 0 ? Math.round((p.bytesTotal - Math.min(p.bytesDone, p.bytesTotal)) / p.rate) : null
+  const rest = eta === null ? '' : eta < 60 ? `, noch ~${Math.max(1, eta)} s` : `, noch ~${Math.round(eta / 60)} min`
+  return `${percent} % (${p.filesDone}/${p.filesTotal} Dateien${rest})`
+}
+
 // Initial sync function - downloads files with timestamp check
-async function performInitialSyncDown() {
-  if (isSyncing) { console.log('Sync already running, skipping'); return }
-  isSyncing = true
+async function performInitialSyncDown(pair) {
+  if (pair.isSyncing) { console.log('Sync already running, skipping'); return }
+  pair.isSyncing = true
+  const run = beginRun(pair) // Cancel / pause handle
   
-  win?.webContents?.send('sync-start')
-  const syncState = await loadSyncState() // Fingerprints so Sync Up can skip unchanged files
+  setPairStatus(pair, 'syncing') // Notify UI + tray
+  refreshIgnoreRules(pair) // Pick up edited .syncignore files
+  pair.trashStamp = null // Fresh .sync-trash folder for this run
+  pair.unreachable = false // Every run tries the server again
+  startProgress(pair, 'initial') // Scan phase until the plan is known
+  const syncState = await loadSyncState(pair) // Fingerprints so Sync Up can skip unchanged files
   
   try {
     console.log('Initial sync from Nextcloud to local...')
-    win?.webContents?.send('sync-result', { status: 'info', message: 'Initialer Download von Nextcloud...' })
-    await downloadDir(client, '', localRoot, syncState)
+    sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Initialer Download von Nextcloud...' })
+    const remoteTree = await scanRemoteTree(pair) // Only changed subtrees are listed
+    await downloadDir(pair, remoteTree, syncState)
+    await applyRemoteDeletions(pair, syncState, remoteTree) // Drop local copies of files deleted on the server
+    if (pair.unreachable) throw offlineError() // Per-file failures were queued; the run itself went offline
     console.log('✅ Initialer Sync abgeschlossen')
-    win?.webContents?.send('sync-result', { status: 'ok', message: 'Initialer Sync abgeschlossen' })
+    sendPairEvent(pair, 'sync-result', { status: 'ok', message: 'Initialer Sync abgeschlossen' })
+    notifySyncDone(pair, 'Initialer Sync abgeschlossen')
   } catch (e) {
+    if (isCancelError(e)) {
+      console.log('Initial sync cancelled')
+      sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Initialer Sync abgebrochen – fertig übertragene Dateien bleiben erhalten' })
+      return
+    }
     const msg = e?.message || 'Unknown error'
     console.error('Initial sync failed:', msg)
-    win?.webContents?.send('sync-result', { status: 'error', message: `Initialer Sync Fehler: ${msg}` })
+    run.error = e // Logged with the run (see endProgress)
+    if (isOfflineError(e)) {
+      goOffline(pair)
+    } else {
+      setPairStatus(pair, 'error')
+      if (isAuthError(e)) setImmediate(() => handleAuthFailure(pair)) // Credentials revoked → back to login
+      sendPairEvent(pair, 'sync-result', { status: 'error', message: `Initialer Sync Fehler: ${msg}` })
+    }
     throw e
   } finally {
-    await pruneSyncStateMissingLocals(syncState) // Drop entries for removed paths
-    await saveSyncState(syncState) // Persist fingerprints
-    isSyncing = false
+    await pruneSyncStateMissingLocals(pair, syncState) // Drop entries for removed paths
+    await saveSyncState(pair, syncState) // Persist fingerprints
+    await pruneSyncTrash(pair) // Retention for archived versions
+    endProgress(pair)
+    endRun(pair, run)
+    pair.isSyncing = false // Only the run itself releases the lock (see disconnect)
+    if (pair.status === 'syncing' || pair.status === 'paused') setPairStatus(pair, 'idle') // Errors keep their status until the next run
+    else updateTray() // Drop the run's pause / cancel entries
   }
 }
 
 // Regular sync down function - only downloads newer files
-async function performSyncDown() {
-  if (isSyncing) { console.log('Sync already running, skipping'); return }
-  isSyncing = true
+// review: the user's decisions from a preview (see previewSync), or null for an unreviewed run.
+async function performSyncDown(pair, { review = null } = {}) {
+  if (pair.isSyncing) { console.log('Sync already running, skipping'); return }
+  pair.isSyncing = true
+  const run = beginRun(pair) // Cancel / pause handle
   
-  win?.webContents?.send('sync-start')
-  const syncState = await loadSyncState() // Keep upload fingerprints aligned with server
+  setPairStatus(pair, 'syncing') // Notify UI + tray
+  refreshIgnoreRules(pair) // Pick up edited .syncignore files
+  pair.trashStamp = null // Fresh .sync-trash folder for this run
+  pair.unreachable = false // Every run tries the server again
+  startProgress(pair, 'down') // Scan phase until the plan is known
+  const syncState = await loadSyncState(pair) // Keep upload fingerprints aligned with server
   
   try {
     console.log('Syncing from Nextcloud to local...')
-    win?.webContents?.send('sync-result', { status: 'info', message: 'Download von Nextcloud...' })
-    await downloadDir(client, '', localRoot, syncState)
+    sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Download von Nextcloud...' })
+    const remoteTree = await scanRemoteTree(pair) // Only changed subtrees are listed
+    await downloadDir(pair, remoteTree, syncState, review)
+    await applyRemoteDeletions(pair, syncState, remoteTree, review) // Drop local copies of files deleted on the server
+    if (pair.unreachable) throw offlineError() // Per-file failures were queued; the run itself went offline
     console.log('✅ Sync Down (Server → Client) abgeschlossen')
-    win?.webContents?.send('sync-result', { status: 'ok', message: 'Sync Down erfolgreich' })
+    sendPairEvent(pair, 'sync-result', { status: 'ok', message: 'Sync Down erfolgreich' })
+    notifySyncDone(pair, 'Sync Down erfolgreich')
   } catch (e) {
+    if (isCancelError(e)) {
+      console.log('Sync down cancelled')
+      sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Sync Down abgebrochen – fertig übertragene Dateien bleiben erhalten' })
+      return
+    }
     const msg = e?.message || 'Unknown error'
     console.error('Sync down failed:', msg)
-    win?.webContents?.send('sync-result', { status: 'error', message: `Sync Down Fehler: ${msg}` })
+    run.error = e // Logged with the run (see endProgress)
+    if (isOfflineError(e)) {
+      goOffline(pair)
+    } else {
+      setPairStatus(pair, 'error')
+      if (isAuthError(e)) setImmediate(() => handleAuthFailure(pair)) // Credentials revoked → back to login
+      sendPairEvent(pair, 'sync-result', { status: 'error', message: `Sync Down Fehler: ${msg}` })
+    }
     throw e
   } finally {
-    await pruneSyncStateMissingLocals(syncState) // Drop entries for removed paths
-    await saveSyncState(syncState) // Persist fingerprints
-    isSyncing = false
+    await pruneSyncStateMissingLocals(pair, syncState) // Drop entries for removed paths
+    await saveSyncState(pair, syncState) // Persist fingerprints
+    await pruneSyncTrash(pair) // Retention for archived versions
+    endProgress(pair)
+    endRun(pair, run)
+    pair.isSyncing = false // Only the run itself releases the lock (see disconnect)
+    if (pair.status === 'syncing' || pair.status === 'paused') setPairStatus(pair, 'idle') // Errors keep their status until the next run
+    else updateTray() // Drop the run's pause / cancel entries
   }
 }
 
-async function performSyncUp() {
-  if (isSyncing) { console.log('Sync already running, skipping'); return }
-  isSyncing = true
+// onlyPaths: optional list of changed POSIX paths (watch mode) — limits the deletion check
+// and the upload walk to those paths instead of scanning both trees.
+// review: the user's decisions from a preview (see previewSync), or null for an unreviewed run.
+async function performSyncUp(pair, onlyPaths = null, { review = null } = {}) {
+  if (pair.isSyncing) { console.log('Sync already running, skipping'); return }
+  pair.isSyncing = true
+  const run = beginRun(pair) // Cancel / pause handle
   
-  win?.webContents?.send('sync-start')
-  const syncState = await loadSyncState() // Skip PROPFIND per file when local matches last aligned snapshot
+  setPairStatus(pair, 'syncing') // Notify UI + tray
+  refreshIgnoreRules(pair) // Pick up edited .syncignore files
+  pair.trashStamp = null // Fresh .sync-trash folder for this run
+  pair.unreachable = false // Every run tries the server again
+  startProgress(pair, 'up') // Scan phase until the plan is known
+  const syncState = await loadSyncState(pair) // Skip PROPFIND per file when local matches last aligned snapshot
+  const queued = await takeQueuedChanges(pair) // Left over from offline periods or failed transfers
+  if (onlyPaths) onlyPaths = [...new Set([...onlyPaths, ...queued])] // A full run covers them anyway
   
   try {
     console.log('Syncing from local to Nextcloud...')
-    win?.webContents?.send('sync-result', { status: 'info', message: 'Upload zu Nextcloud...' })
+    sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Upload zu Nextcloud...' })
     
     // Check for files to delete on server
-    const filesToDelete = await getFilesToDelete()
+    // Full runs scan the server once; the scan serves the deletion check and every upload decision.
+    // Watch-mode runs only touch a few paths, so they stat those instead of scanning.
+    const remoteTree = onlyPaths ? null : await scanRemoteTree(pair)
+    const localFiles = onlyPaths ? await collectChangedFiles(pair, onlyPaths) : await collectLocalFiles(pair, '', new Set())
+    let filesToDelete = onlyPaths ? await getChangedFilesToDelete(pair, onlyPaths, syncState) : getFilesToDelete(remoteTree, localFiles, syncState)
+    if (review) filesToDelete = filesToDelete.filter((rel) => review.deletions.has(rel)) // Only what the preview showed and the user kept
+    filesToDelete = skipReadOnlyDeletions(pair, filesToDelete, remoteTree, syncState)
     if (filesToDelete.length > 0) {
-      const proceed = await confirmMassDeletion('Lokale Löschung erkannt', filesToDelete.length, filesToDelete.slice(0, 10))
+      const proceed = review || await confirmMassDeletion(`Lokale Löschung erkannt – ${pairLabel(pair)}`, filesToDelete.length, filesToDelete.slice(0, 10))
       if (!proceed) {
-        win?.webContents?.send('sync-result', { status: 'info', message: 'Upload abgebrochen - keine Löschungen' })
+        await queueChanges(pair, queued) // Not handled this time
+        sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Upload abgebrochen - keine Löschungen' })
         return
       }
-      
-      // Delete files on server
-      const deleteReadOnlyWarned = new Set() // Track warned directories
-      for (const filePath of filesToDelete) {
-        try {
-          await client.deleteFile('/' + filePath)
-          delete syncState.files[filePath] // Remove fingerprint so state stays consistent
-          console.log(`Deleted on server: ${filePath}`)
-          win?.webContents?.send('sync-result', { status: 'info', message: `Am Server gelöscht: ${filePath}` })
-        } catch (e) {
-          if (isPermissionError(e)) { // Permission error
-            const dirRel = path.posix.dirname(filePath) || '/' // Directory path
-            if (!deleteReadOnlyWarned.has(dirRel)) { // Warn once per directory
-              deleteReadOnlyWarned.add(dirRel) // Mark as warned
-              win?.webContents?.send('sync-result', { status: 'warning', message: `Kein Löschrecht in „/${dirRel}" – Löschungen werden dort übersprungen` }) // Notify
-            }
-            console.warn(`Skipped deletion (read-only): ${filePath}`) // Log skip
-            win?.webContents?.send('sync-result', { status: 'warning', message: `Löschung übersprungen (read-only): ${filePath}` })
-          } else {
-            console.warn(`Could not delete ${filePath} on server:`, e?.message) // Other error
-            win?.webContents?.send('sync-result', { status: 'warning', message: `Server-Löschung fehlgeschlagen: ${filePath}` })
-          }
-        }
-      }
+
+      await deleteRemoteFiles(pair, filesToDelete, syncState)
     }
     
-    await uploadDir(client, localRoot, '', new Set(), { value: false }, syncState)
+    let plan = await planUploads(pair, localFiles, syncState, remoteTree) // Decide first, so progress knows the totals
+    if (review) plan = plan.filter((entry) => !review.exclude.has(entry.rel)) // Unticked in the preview
+    plan = skipReadOnlyUploads(pair, plan, remoteTree)
+    planUploadProgress(pair, plan)
+    await checkSpace(pair)
+    await uploadPlanned(pair, plan, syncState)
+    if (pair.unreachable) throw offlineError() // Per-file failures were queued; the run itself went offline
     console.log('✅ Sync Up (Client → Server) abgeschlossen')
-    win?.webContents?.send('sync-result', { status: 'ok', message: 'Sync Up erfolgreich' })
+    sendPairEvent(pair, 'sync-result', { status: 'ok', message: 'Sync Up erfolgreich' })
+    notifySyncDone(pair, 'Sync Up erfolgreich')
   } catch (e) {
+    if (isCancelError(e)) {
+      console.log('Sync up cancelled')
+      await queueChanges(pair, onlyPaths ?? queued) // Not handled yet → next Sync Up
+      sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Sync Up abgebrochen – fertig übertragene Dateien bleiben erhalten' })
+      return
+    }
     const msg = e?.message || 'Unknown error'
     console.error('Sync up failed:', msg)
-    win?.webContents?.send('sync-result', { status: 'error', message: `Sync Up Fehler: ${msg}` })
+    run.error = e // Logged with the run (see endProgress)
+    if (isOfflineError(e)) {
+      await queueChanges(pair, onlyPaths ?? queued) // Retried when the server is back
+      goOffline(pair)
+    } else {
+      setPairStatus(pair, 'error')
+      if (isAuthError(e)) setImmediate(() => handleAuthFailure(pair)) // Credentials revoked → back to login
+      sendPairEvent(pair, 'sync-result', { status: 'error', message: `Sync Up Fehler: ${msg}` })
+    }
     throw e
   } finally {
-    await pruneSyncStateMissingLocals(syncState) // Drop entries for removed paths
-    await saveSyncState(syncState) // Persist fingerprints
-    isSyncing = false
+    await pruneSyncStateMissingLocals(pair, syncState) // Drop entries for removed paths
+    await saveSyncState(pair, syncState) // Persist fingerprints
+    await pruneSyncTrash(pair) // Retention for archived versions
+    endProgress(pair)
+    endRun(pair, run)
+    pair.isSyncing = false // Only the run itself releases the lock (see disconnect)
+    if (pair.status === 'syncing' || pair.status === 'paused') setPairStatus(pair, 'idle') // Errors keep their status until the next run
+    else updateTray() // Drop the run's pause / cancel entries
+  }
+}
+
+// Two-way sync ("Jetzt synchronisieren"): one remote scan, one local walk and one three-way plan
+// (see planSync) applied in both directions — deletions first, then downloads, then uploads — so
+// neither side can overwrite an edit the other direction hasn't picked up yet.
+// review: the user's decisions from a preview (see previewSync), or null for an unreviewed run.
+async function performSync(pair, { review = null } = {}) {
+  if (pair.isSyncing) { console.log('Sync already running, skipping'); return }
+  pair.isSyncing = true
+  const run = beginRun(pair) // Cancel / pause handle
+
+  setPairStatus(pair, 'syncing') // Notify UI + tray
+  refreshIgnoreRules(pair) // Pick up edited .syncignore files
+  pair.trashStamp = null // Fresh .sync-trash folder for this run
+  pair.unreachable = false // Every run tries the server again
+  startProgress(pair, 'sync') // Scan phase until the plan is known
+  const syncState = await loadSyncState(pair) // The common ancestor of both sides
+  const queued = await takeQueuedChanges(pair) // The full walk covers them
+
+  try {
+    console.log('Two-way sync with Nextcloud...')
+    sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Synchronisiere mit Nextcloud...' })
+    const remoteTree = await scanRemoteTree(pair)
+    const localFiles = await collectLocalFiles(pair, '', new Set())
+    const plan = await planSync(pair, remoteTree, localFiles, syncState)
+    if (review) {
+      plan.downloads = plan.downloads.filter((entry) => !review.exclude.has(entry.rel)) // Unticked in the preview
+      plan.uploads = plan.uploads.filter((entry) => !review.exclude.has(entry.rel))
+      plan.deleteRemote = plan.deleteRemote.filter((rel) => review.deletions.has(rel)) // Only what the preview showed and the user kept
+      plan.deleteLocal = plan.deleteLocal.filter((rel) => review.deletions.has(rel))
+    }
+    plan.deleteRemote = skipReadOnlyDeletions(pair, plan.deleteRemote, remoteTree, syncState)
+    plan.uploads = skipReadOnlyUploads(pair, plan.uploads, remoteTree)
+    for (const rel of plan.revived) {
+      console.warn(`Deleted on one side but edited on the other, keeping the edit: ${rel}`)
+      sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Auf einer Seite gelöscht, auf der anderen geändert – Änderung bleibt erhalten: ${rel}` })
+    }
+
+    let removedDirs = []
+    if (plan.deleteRemote.length) {
+      const proceed = review || await confirmMassDeletion(`Lokale Löschung erkannt – ${pairLabel(pair)}`, plan.deleteRemote.length, plan.deleteRemote.slice(0, 10))
+      if (proceed) removedDirs = await removeEmptiedRemoteDirs(pair, await deleteRemoteFiles(pair, plan.deleteRemote, syncState), remoteTree, localFiles)
+      else sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Löschungen am Server übersprungen' })
+    }
+    if (plan.deleteLocal.length) {
+      const proceed = review || await confirmMassDeletion(`Löschung am Server erkannt – ${pairLabel(pair)}`, plan.deleteLocal.length, plan.deleteLocal.slice(0, 10), `${plan.deleteLocal.length} Dateien wurden am Server gelöscht und werden lokal nach .sync-trash verschoben (wiederherstellbar). Fortfahren?`)
+      if (proceed) await removeLocalCopies(pair, plan.deleteLocal, syncState, remoteTree)
+      else sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Lokale Löschungen übersprungen' })
+    }
+
+    for (const rel of remoteTree.dirs) { // Folders new on the server (not the ones just removed there)
+      if (removedDirs.some((dir) => rel === dir || rel.startsWith(dir + '/'))) continue
+      try { await fs.mkdir(path.join(pair.localRoot, rel), { recursive: true }) } catch (e) { console.error(`Error creating dir ${rel}:`, e?.message) }
+    }
+    planProgress(pair, 'download', plan.downloads.map(({ item }) => item.size))
+    planUploadProgress(pair, plan.uploads)
+    await checkSpace(pair)
+    await downloadPlanned(pair, plan.downloads, syncState)
+    await uploadPlanned(pair, plan.uploads, syncState)
+    if (pair.unreachable) throw offlineError() // Per-file failures were queued; the run itself went offline
+    console.log('✅ Sync abgeschlossen')
+    sendPairEvent(pair, 'sync-result', { status: 'ok', message: 'Sync erfolgreich' })
+    notifySyncDone(pair, 'Sync erfolgreich')
+  } catch (e) {
+    if (isCancelError(e)) {
+      console.log('Sync cancelled')
+      await queueChanges(pair, queued) // Not handled yet → next run
+      sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Sync abgebrochen – fertig übertragene Dateien bleiben erhalten' })
+      return
+    }
+    const msg = e?.message || 'Unknown error'
+    console.error('Sync failed:', msg)
+    run.error = e // Logged with the run (see endProgress)
+    if (isOfflineError(e)) {
+      await queueChanges(pair, queued) // Retried when the server is back
+      goOffline(pair)
+    } else {
+      setPairStatus(pair, 'error')
+      if (isAuthError(e)) setImmediate(() => handleAuthFailure(pair)) // Credentials revoked → back to login
+      sendPairEvent(pair, 'sync-result', { status: 'error', message: `Sync Fehler: ${msg}` })
+    }
+    throw e
+  } finally {
+    await pruneSyncStateMissingLocals(pair, syncState) // Drop entries for removed paths
+    await saveSyncState(pair, syncState) // Persist fingerprints
+    await pruneSyncTrash(pair) // Retention for archived versions
+    endProgress(pair)
+    endRun(pair, run)
+    pair.isSyncing = false // Only the run itself releases the lock (see disconnect)
+    if (pair.status === 'syncing' || pair.status === 'paused') setPairStatus(pair, 'idle') // Errors keep their status until the next run
+    else updateTray() // Drop the run's pause / cancel entries
+  }
+}
+
+// Two-way plan over the union of both trees, decided against the last-synced snapshot:
+//   both present  → compareWithSnapshot (edits go the way they happened, conflicts keep both)
+//   one side gone → a deletion to carry over if the file was synced before and the surviving
+//                   copy is unchanged since; an edit on the surviving side wins over the deletion
+//                   (listed in revived), and a file never synced is simply new.
+// Paths under a folder the scan couldn't list are left alone. Besides refreshed snapshots in the
+// in-memory syncState, aligned files take over the share's permissions on disk — except for a
+// dryRun (the preview), which changes nothing.
+async function planSync(pair, remoteTree, localFiles, syncState, { dryRun = false } = {}) {
+  const plan = { downloads: [], uploads: [], deleteLocal: [], deleteRemote: [], revived: [] }
+  for (const rel of new Set([...remoteTree.files.keys(), ...localFiles])) {
+    await checkpoint(pair)
+    if (isUnderFailedDir(rel, remoteTree)) continue // Server side unknown → next run
+    try {
+      const abs = path.join(pair.localRoot, ...rel.split('/'))
+      const remoteItem = remoteTree.files.get(rel) ?? null
+      let localStats = null
+      if (localFiles.has(rel)) {
+        try { localStats = await fs.stat(abs) } catch { /* Vanished meanwhile → treat as deleted */ }
+      }
+      const entry = syncState.files[rel] // Last aligned snapshot
+      if (entry && remoteItem && !localStats) { // Deleted locally
+        if (!remoteChangedSinceSync(entry, remoteItem)) { plan.deleteRemote.push(rel); continue }
+        plan.revived.push(rel) // Edited on the server meanwhile → fetch it again
+      } else if (entry && localStats && !remoteItem) { // Deleted on the server
+        if (await localUnchangedSinceSync(rel, abs, localStats, syncState)) { plan.deleteLocal.push(rel); continue }
+        plan.revived.push(rel) // Edited locally meanwhile → upload it again
+      }
+      const change = await compareWithSnapshot(rel, abs, localStats, remoteItem, syncState) // Three-way decision
+      if (change === 'remote' || change === 'conflict') {
+        plan.downloads.push({ rel, abs, item: remoteItem, change })
+      } else if (change === 'local') {
+        plan.uploads.push({ rel, localPath: abs, localStats, change, remoteItem })
+      } else if (change === 'none' && localStats) {
+        recordSyncedLocalFile(rel, localStats, syncState, remoteItem) // Aligned → refresh the snapshot
+        if (remoteItem && !dryRun) await applyLocalPermissions(abs, remoteItem, localStats)
+      }
+    } catch (e) {
+      if (isCancelError(e)) throw e
+      console.error(`Error processing ${rel}:`, e?.message) // Per-item error
+    }
+  }
+  return plan
+}
+
+// After carrying local deletions to the server: remove server folders that are gone locally and
+// whose files were all deleted just now (topmost only — the rest goes with them). Returns them.
+async function removeEmptiedRemoteDirs(pair, deleted, remoteTree, localFiles) {
+  const gone = new Set(deleted)
+  const candidates = new Set()
+  for (const rel of deleted) {
+    for (let dir = path.posix.dirname(rel); dir !== '.'; dir = path.posix.dirname(dir)) candidates.add(dir)
+  }
+  const isEmptied = (dir) => {
+    if (!remoteTree.dirs.has(dir) || fssync.existsSync(path.join(pair.localRoot, ...dir.split('/')))) return false
+    for (const rel of remoteTree.files.keys()) if (rel.startsWith(dir + '/') && !gone.has(rel)) return false
+    for (const rel of localFiles) if (rel.startsWith(dir + '/')) return false
+    for (const failed of remoteTree.failedDirs) { // Unlisted parts → contents unknown
+      if (failed === dir || failed.startsWith(dir + '/') || dir.startsWith(failed + '/')) return false
+    }
+    return true
+  }
+  const removed = []
+  for (const dir of [...candidates].sort((a, b) => a.length - b.length)) { // Parents first
+    if (removed.some((parent) => dir.startsWith(parent + '/')) || !isEmptied(dir)) continue
+    try {
+      await withRetry(pair, (signal) => pair.client.deleteFile('/' + dir, { signal }))
+      removed.push(dir)
+      console.log(`Deleted folder on server: ${dir}`)
+    } catch (e) {
+      if (isCancelError(e)) throw e
+      console.warn(`Could not delete folder ${dir} on server:`, e?.message) // Stays as an empty folder
+    }
+  }
+  return removed
+}
+
+// Delete files on the server (to its trashbin); read-only folders are skipped with a warning and
+// network failures are queued. Returns the paths that are gone from the server now.
+async function deleteRemoteFiles(pair, filesToDelete, syncState) {
+  const deleteReadOnlyWarned = new Set() // Track warned directories
+  const deleted = []
+  for (const filePath of filesToDelete) {
+    await checkpoint(pair)
+    if (pair.progress) { pair.progress.current = filePath; emitProgress(pair) }
+    try {
+      await withRetry(pair, (signal) => pair.client.deleteFile('/' + filePath, { signal }))
+      delete syncState.files[filePath] // Remove fingerprint so state stays consistent
+      deleted.push(filePath)
+      console.log(`Deleted on server: ${filePath}`)
+      logSync(pair, { op: 'delete', path: filePath, direction: 'up', result: 'ok', detail: 'im Papierkorb des Servers' })
+    } catch (e) {
+      if (e?.response?.status === 404) { // Already gone on server
+        delete syncState.files[filePath]
+        deleted.push(filePath)
+        continue
+      }
+      if (isPermissionError(e)) { // Permission error
+        const dirRel = path.posix.dirname(filePath) || '/' // Directory path
+        if (!deleteReadOnlyWarned.has(dirRel)) { // Warn once per directory
+          deleteReadOnlyWarned.add(dirRel) // Mark as warned
+          sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Kein Löschrecht in „/${dirRel}" – Löschungen werden dort übersprungen` }) // Notify
+        }
+        console.warn(`Skipped deletion (read-only): ${filePath}`) // Log skip
+        logSync(pair, { op: 'delete', path: filePath, direction: 'up', result: 'skipped', code: errorCode(e), message: 'Kein Löschrecht' })
+        sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Löschung übersprungen (read-only): ${filePath}` })
+      } else if (isCancelError(e)) {
+        throw e
+      } else if (isNetworkError(e)) {
+        await queueChanges(pair, [filePath]) // Deleted again once the server answers
+        sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Server-Löschung vorgemerkt (Verbindungsproblem): ${filePath}` })
+        logSync(pair, { op: 'delete', path: filePath, direction: 'up', result: 'queued', code: errorCode(e), message: e?.message })
+      } else {
+        console.warn(`Could not delete ${filePath} on server:`, e?.message) // Other error
+        logSync(pair, { op: 'delete', path: filePath, direction: 'up', result: 'error', code: errorCode(e), message: e?.message })
+        sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Server-Löschung fehlgeschlagen: ${filePath}` })
+      }
+    }
+  }
+  if (deleted.length) sendPairEvent(pair, 'sync-result', { status: 'info', message: `${deleted.length} Datei(en) am Server gelöscht` })
+  return deleted
+}
+
+// ---------- Watch mode (automatic sync) ----------
+// Optional background mode: local edits are collected from a recursive fs.watch on the pair's folder and,
+// after a quiet period, uploaded with performSyncUp(pair, changedPaths). The server is polled on an
+// interval via the root ETag (Nextcloud propagates ETags up to the root on any change) and a
+// Sync Down runs when it moved. Both go through performSyncUp/performSyncDown, so the per-pair isSyncing
+// lock and the folder selection apply unchanged.
+// Watcher, timers and pending paths live on the pair (see createPair), so every pair syncs on its own.
+const WATCH_DEBOUNCE_MS = 3000 // Quiet period after the last local change before uploading
+
+function startAutoSync(pair) {
+  stopAutoSync(pair) // Restart with current settings
+  if (!pair.autoSync.enabled || !pair.client || !pair.isConnected) return
+
+  try {
+    pair.watcher = fssync.watch(pair.localRoot, { recursive: true }, (_type, filename) => {
+      if (!filename) return
+      const rel = filename.split(path.sep).join('/') // Native → POSIX rel
+      if (pair.ignore?.isHardIgnored(rel)) return // Metadata, conflict copies, partial downloads (the rest is checked on flush)
+      pair.pendingChanges.add(rel)
+      clearTimeout(pair.debounceTimer)
+      pair.debounceTimer = setTimeout(() => flushPendingChanges(pair), WATCH_DEBOUNCE_MS) // Debounce bursts of edits
+    })
+    pair.watcher.on('error', (e) => {
+      console.error('Watcher failed:', e?.message)
+      sendPairEvent(pair, 'sync-result', { status: 'warning', message: 'Ordnerüberwachung beendet – automatischer Upload inaktiv' })
+      pair.watcher?.close()
+      pair.watcher = null
+    })
+  } catch (e) {
+    console.error('Could not watch local folder:', e?.message)
+    sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Ordnerüberwachung nicht möglich: ${e?.message}` })
+  }
+
+  const minutes = Math.max(1, Number(pair.autoSync.intervalMinutes) || 5) // At least one minute
+  pair.pollTimer = setInterval(() => pollRemoteChanges(pair), minutes * 60 * 1000)
+  console.log(`Auto sync enabled for ${pair.id} (poll every ${minutes} min)`)
+}
+
+function stopAutoSync(pair) {
+  pair.watcher?.close()
+  pair.watcher = null
+  clearInterval(pair.pollTimer)
+  pair.pollTimer = null
+  clearTimeout(pair.debounceTimer)
+  pair.debounceTimer = null
+  pair.pendingChanges.clear()
+  pair.lastRootEtag = null
+}
+
+async function flushPendingChanges(pair) {
+  pair.debounceTimer = null
+  if (!pair.pendingChanges.size || !pair.client || !pair.isConnected) return
+  if (pair.isSyncing) { // Lock held → try again after another quiet period
+    pair.debounceTimer = setTimeout(() => flushPendingChanges(pair), WATCH_DEBOUNCE_MS)
+    return
+  }
+  const changed = [...pair.pendingChanges]
+  pair.pendingChanges.clear()
+  refreshIgnoreRules(pair)
+  const paths = []
+  for (const rel of changed) {
+    let isDir = false
+    try { isDir = (await fs.stat(path.join(pair.localRoot, ...rel.split('/')))).isDirectory() } catch { /* Deleted */ }
+    if (!(await isExcluded(pair, rel, isDir))) paths.push(rel)
+  }
+  if (!paths.length) return // Only ignored paths changed
+  if (pair.status === 'offline') { // Nothing reaches the server now → keep for the reconnect
+    await queueChanges(pair, paths)
+    return
+  }
+  if (pair.isSyncing) { // A sync started meanwhile → keep the paths for the next attempt
+    for (const rel of paths) pair.pendingChanges.add(rel)
+    pair.debounceTimer = setTimeout(() => flushPendingChanges(pair), WATCH_DEBOUNCE_MS)
+    return
+  }
+  try {
+    await performSyncUp(pair, paths)
+  } catch (e) {
+    console.error('Auto Sync Up failed:', e?.message) // Already reported via sync-result
+  }
+}
+
+async function pollRemoteChanges(pair) {
+  if (!pair.client || !pair.isConnected || pair.isSyncing) return // Next tick will catch up
+  if (pair.status === 'offline') return // The connectivity probe takes over
+  try {
+    const root = await pair.client.stat('/') // Depth 0 PROPFIND, root ETag only
+    if (root.etag && root.etag === pair.lastRootEtag) return // Nothing changed on the server
+    await performSyncDown(pair)
+    pair.lastRootEtag = root.etag // Changes during the walk move the ETag again → next poll picks them up
+  } catch (e) {
+    console.warn('Remote poll failed:', e?.message)
+    if (isAuthError(e)) await handleAuthFailure(pair) // Credentials revoked → back to login
   }
 }
 
+ipcMain.handle('set-auto-sync', async (_event, { pairId, enabled, intervalMinutes }) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  pair.autoSync = { enabled: !!enabled, intervalMinutes: Number(intervalMinutes) || 5 }
+  if (pair.autoSync.enabled) startAutoSync(pair)
+  else stopAutoSync(pair)
+  return { status: 'ok', active: !!pair.pollTimer }
+})
+
 // ---------- Confirmation helper ----------
-async function confirmMassDeletion(title, count, preview) {
+async function confirmMassDeletion(title, count, preview, message = `${count} Dateien werden am Server gelöscht. Fortfahren?`) {
+  return frontend.confirm({ title, count, preview, message })
+}
+
+async function confirmInDialog({ title, preview, message }) {
   try {
     const detailList = preview.map(p => `• ${p}`).join('\n') // Build preview lines
     const { response } = await dialog.showMessageBox(win ?? null, { // Show modal
@@ -454,7 +2431,7 @@ async function confirmMassDeletion(title, count, preview) {
       defaultId: 0, // Default to cancel
       cancelId: 0, // Esc cancels
       title, // Title
-      message: `${count} Dateien werden am Server gelöscht. Fortfahren?`, // Short message
+      message, // Short message
       detail: detailList.length ? `Beispiele:\n${detailList}` : undefined, // Show first items
       noLink: true // Native button style
     })
@@ -465,112 +2442,413 @@ async function confirmMassDeletion(title, count, preview) {
   }
 }
 
-// Helper function to get files that should be deleted on server
-async function getFilesToDelete() {
-  const localFiles = new Set()
-  const remoteFiles = new Set()
-  
-  // Collect local files
-  await collectLocalFiles(localRoot, '', localFiles)
-  
-  // Collect remote files
-  await collectRemoteFiles(client, '', remoteFiles)
-  
-  // Find files that exist on server but not locally
+// Helper function to get files that should be deleted on server (localFiles from collectLocalFiles).
+// Like planSync: only files that were synced before and haven't changed on the server since —
+// files another device added or edited meanwhile are left for the next Sync Down.
+function getFilesToDelete(remoteTree, localFiles, syncState) {
+  // Find files that exist on server but not locally (the scan is already filtered)
   const toDelete = []
-  for (const remoteFile of remoteFiles) {
-    if (!localFiles.has(remoteFile) && !shouldExcludePath(remoteFile)) {
-      toDelete.push(remoteFile)
-    }
+  for (const [remoteFile, remoteItem] of remoteTree.files) {
+    if (localFiles.has(remoteFile)) continue
+    const entry = syncState.files[remoteFile] // Last aligned snapshot
+    if (entry && !remoteChangedSinceSync(entry, remoteItem)) toDelete.push(remoteFile)
   }
   
   return toDelete
 }
 
-// Helper function to collect local files
-async function collectLocalFiles(localRoot, rel, files) {
+// Watch-mode variant of getFilesToDelete: changed paths that are gone locally and have a
+// sync snapshot (so they existed on the server). A deleted folder expands to its known files.
+// There is no remote scan here, so each file is stat'ed to skip ones edited on the server since.
+async function getChangedFilesToDelete(pair, rels, syncState) {
+  const toDelete = new Set()
+  for (const rel of rels) {
+    if (fssync.existsSync(path.join(pair.localRoot, ...rel.split('/')))) continue // Still there → not a deletion
+    for (const known of Object.keys(syncState.files)) {
+      if (known !== rel && !known.startsWith(rel + '/')) continue // The file itself or a deleted folder's contents
+      if (shouldSkipEntry(pair, known, false) || await isExcluded(pair, known, false)) continue
+      if (toDelete.has(known) || fssync.existsSync(path.join(pair.localRoot, ...known.split('/')))) continue
+      let remoteItem
+      try {
+        remoteItem = await statRemoteFile(pair, known)
+      } catch (e) {
+        if (e?.response?.status !== 404) throw e
+        delete syncState.files[known] // Already gone on the server
+        continue
+      }
+      if (!remoteChangedSinceSync(syncState.files[known], remoteItem)) toDelete.add(known) // Changed ones wait for the next Sync Down
+    }
+  }
+  return [...toDelete]
+}
+
+// Helper function to collect local files (ignore rules and folder selection applied); returns files
+async function collectLocalFiles(pair, rel, files) {
   try {
-    const absDir = path.join(localRoot, rel)
+    await checkpoint(pair)
+    const absDir = path.join(pair.localRoot, rel)
     const entries = await fs.readdir(absDir, { withFileTypes: true })
     
     for (const entry of entries) {
-      if (shouldExcludePath(entry.name)) continue
-
       const nextRel = path.posix.join(rel, entry.name)
-      if (shouldSkipEntry(nextRel, entry.isDirectory())) continue // ignore folders outside the selection
+      if (await isExcluded(pair, nextRel, entry.isDirectory())) continue // Ignore rules
+      if (shouldSkipEntry(pair, nextRel, entry.isDirectory())) continue // ignore folders outside the selection
       if (entry.isDirectory()) {
-        await collectLocalFiles(localRoot, nextRel, files)
+        await collectLocalFiles(pair, nextRel, files)
       } else {
         files.add(nextRel)
       }
     }
   } catch (e) {
+    if (isCancelError(e)) throw e
     // Directory doesn't exist or can't be read
   }
+  return files
+}
+
+// Watch-mode counterpart of collectLocalFiles: the changed paths that still exist locally, with
+// changed folders expanded to their files. Paths that are gone are handled as deletions.
+async function collectChangedFiles(pair, rels) {
+  const files = new Set()
+  for (const rel of rels) {
+    await checkpoint(pair)
+    let st
+    try { st = await fs.stat(path.join(pair.localRoot, ...rel.split('/'))) } catch { continue } // Gone → handled as deletion
+    if (await isExcluded(pair, rel, st.isDirectory())) continue // skip ignored files and folders
+    if (shouldSkipEntry(pair, rel, st.isDirectory())) continue // outside the selection
+    if (st.isDirectory()) await collectLocalFiles(pair, rel, files)
+    else if (st.isFile()) files.add(rel)
+  }
+  return files
+}
+
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN', 'EOFFLINE'] // Node codes (+ our fail-fast marker)
+
+function isNetworkError(error) {
+  const code = error?.code || error?.cause?.code || '' // Code (fetch wraps it in cause)
+  const status = error?.response?.status || 0 // HTTP status
+  return NETWORK_ERROR_CODES.includes(code) || (status >= 500 && status !== 501 && status !== 507) || status === 423 // Treat as transient
+}
+
+// Transient errors that mean "server not reachable" rather than "this request failed".
+function isOfflineError(error) {
+  const code = error?.code || error?.cause?.code || ''
+  const status = error?.response?.status || 0
+  return NETWORK_ERROR_CODES.includes(code) || status === 502 || status === 503 || status === 504
+}
+
+// Check if error means the credentials themselves were rejected
+function isAuthError(error) {
+  const status = error?.response?.status || error?.status || 0
+  return status === 401
+}
+
+// Check if error indicates permission issues (read-only share)
+function isPermissionError(error) {
+  const status = error?.response?.status || 0
+  const code = error?.code || ''
+  return status === 401 || status === 403 || status === 405 || status === 423 || code === 'EACCES'
+}
+
+// Check if error indicates quota issues
+function isQuotaError(error) {
+  const status = error?.response?.status || 0
+  return status === 507 // Insufficient Storage
+}
+
+// ---------- Quota and disk space ----------
+// Once a run has planned its transfers, checkSpace compares them with the room there is: downloads
+// with the free space of the local disk, uploads with the server quota (quota-available-bytes of
+// the pair's root, which the card also shows as a bar). A plan that doesn't fit stops the run
+// before the first byte; one that nearly fills the disk or quota only warns. A 507 during an
+// upload (someone else filled a shared quota meanwhile) is still handled per file (isQuotaError).
+const QUOTA_PROPFIND = `<?xml version="1.0"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:quota-available-bytes/>
+    <d:quota-used-bytes/>
+  </d:prop>
+</d:propfind>`
+const LOCAL_SPACE_RESERVE = 512 * 1024 * 1024 // Warn when downloads leave less than this free
+const QUOTA_WARN_RATIO = 0.95 // Warn when uploads fill the quota beyond this share
+
+function spaceError(code, message) {
+  return Object.assign(new Error(message), { code })
+}
+
+// pair.quota = { used, available, total } in bytes. Without a limit available/total are null
+// (Nextcloud sends negative values for "unlimited" and "not computed yet").
+async function fetchQuota(pair) {
+  const { data } = await withRetry(pair, (signal) => pair.client.stat('/', { details: true, data: QUOTA_PROPFIND, signal }))
+  const used = Number(data.props?.['quota-used-bytes'])
+  const available = Number(data.props?.['quota-available-bytes'])
+  const limited = Number.isFinite(available) && available >= 0
+  pair.quota = {
+    used: Number.isFinite(used) ? used : null,
+    available: limited ? available : null,
+    total: limited && Number.isFinite(used) ? used + available : null
+  }
+  sendPairEvent(pair, 'pair-status', { status: pair.status, pair: pairInfo(pair) }) // Card redraws its bar
+  return pair.quota
+}
+
+// Background refresh for the bar (after login and after each run).
+function refreshQuota(pair) {
+  if (!pair.client) return
+  fetchQuota(pair).catch((e) => console.warn(`Quota of ${pairLabel(pair)} unavailable:`, e?.message))
+}
+
+// Free bytes on the disk holding dir, or null when the OS won't say.
+async function localFreeBytes(dir) {
+  try {
+    const st = await fs.statfs(dir)
+    return st.bavail * st.bsize
+  } catch {
+    return null
+  }
+}
+
+function warnSpace(pair, message) {
+  console.warn(message)
+  sendPairEvent(pair, 'sync-result', { status: 'warning', message })
+  notifyUser(pair, 'quota', message)
+}
+
+// Throws (code ENOSPC / EQUOTA) when the run's planned transfers don't fit; see the section header.
+async function checkSpace(pair) {
+  const planned = pair.progress?.planned
+  if (!planned) return
+  if (planned.download.bytes > 0) {
+    const free = await localFreeBytes(pair.localRoot)
+    if (free !== null && planned.download.bytes > free) {
+      notifyUser(pair, 'quota', 'Nicht genug Speicherplatz auf diesem Gerät – Sync gestoppt')
+      throw spaceError('ENOSPC', `Nicht genug Speicherplatz auf diesem Gerät: ${formatSize(planned.download.bytes)} zu laden, ${formatSize(free)} frei`)
+    }
+    if (free !== null && free - planned.download.bytes < LOCAL_SPACE_RESERVE) {
+      warnSpace(pair, `Wenig Speicherplatz: nach dem Download sind nur noch ${formatSize(free - planned.download.bytes)} frei`)
+    }
+  }
+  if (planned.upload.bytes > 0) {
+    let quota
+    try {
+      quota = await fetchQuota(pair)
+    } catch (e) {
+      if (isCancelError(e) || isOfflineError(e)) throw e
+      console.warn('Quota check skipped:', e?.message) // Uploads still meet a 507 if it doesn't fit
+      return
+    }
+    if (quota.available === null) return // Unlimited
+    if (planned.upload.bytes > quota.available) {
+      pair.quotaExceeded = true
+      updateTray()
+      notifyUser(pair, 'quota', 'Nicht genug Speicher am Server – Sync gestoppt')
+      throw spaceError('EQUOTA', `Nicht genug Speicher am Server: ${formatSize(planned.upload.bytes)} hochzuladen, ${formatSize(quota.available)} frei`)
+    }
+    if (quota.used + planned.upload.bytes > quota.total * QUOTA_WARN_RATIO) {
+      warnSpace(pair, `Server-Speicher fast voll: nach dem Upload sind ${formatSize(quota.used + planned.upload.bytes)} von ${formatSize(quota.total)} belegt`)
+    }
+  }
+}
+
+const SYNC_STATE_FILE = '.sync-state.json' // Local fingerprint store (excluded from WebDAV sync)
+
+function syncStateFilePath(pair) {
+  return path.join(pair.localRoot, SYNC_STATE_FILE) // Absolute path to state file
+}
+
+async function loadSyncState(pair) {
+  try {
+    const raw = await fs.readFile(syncStateFilePath(pair), 'utf8') // Read JSON
+    const data = JSON.parse(raw) // Parse
+    if (data && typeof data.files === 'object' && data.files !== null) {
+      return { files: { ...data.files }, hashes: new Map() } // Mutable copy
+    }
+  } catch {
+    // Missing or corrupt → treat as empty
+  }
+  return { files: {}, hashes: new Map() } // Default
+}
+
+async function saveSyncState(pair, state) {
+  const payload = JSON.stringify({ v: 3, files: state.files }, null, 0) // Compact JSON (hashes stay in memory)
+  await fs.writeFile(syncStateFilePath(pair), payload, 'utf8') // Persist
+}
+
+// ---------- Content hashes ----------
+// Timestamps drift without the content changing: a copied folder, a restored backup, a client
+// clock that runs off. So the sync state also keeps a SHA-1 per file, uploads hand it to the
+// server (OC-Checksum) and scans read it back from oc:checksums. When size and mtime disagree
+// with the snapshot, equal hashes still mean "in sync". Hashes are computed lazily, only for files
+// whose metadata no longer tells; state.hashes remembers them for the rest of the run.
+const CONTENT_HASH = 'sha1' // The checksum type Nextcloud's own clients send
+
+// PROPFIND body for files: the props webdav maps to a stat, plus oc:checksums.
+const FILE_PROPFIND = `<?xml version="1.0"?>
+<d:propfind xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+  <d:prop>
+    <d:getlastmodified/>
+    <d:getcontentlength/>
+    <d:getcontenttype/>
+    <d:getetag/>
+    <d:resourcetype/>
+    <oc:checksums/>
+    <oc:permissions/>
+  </d:prop>
+</d:propfind>`
+
+// SHA-1 out of oc:checksums ("SHA1:… MD5:… ADLER32:…", possibly split over several elements),
+// or null when the server has none for the file.
+function remoteChecksum(props) {
+  const match = JSON.stringify(props?.checksums ?? '').match(/SHA1:([0-9a-f]{40})/i)
+  return match ? match[1].toLowerCase() : null
+}
+
+// webdav stat (details: true) → the remote item shape used by the sync walks.
+function remoteFileItem(stat) {
+  return { filename: stat.filename, basename: stat.basename, type: stat.type, size: stat.size, lastmod: stat.lastmod, etag: stat.etag, checksum: remoteChecksum(stat.props), permissions: remotePermissions(stat.props) }
+}
+
+async function statRemoteFile(pair, relPosix) {
+  const res = await withRetry(pair, (signal) => pair.client.stat('/' + relPosix, { signal, details: true, data: FILE_PROPFIND }))
+  return remoteFileItem(res.data)
+}
+
+async function hashFile(abs) {
+  const hash = crypto.createHash(CONTENT_HASH)
+  for await (const chunk of fssync.createReadStream(abs)) hash.update(chunk) // Streamed, never fully in memory
+  return hash.digest('hex')
+}
+
+// Pass-through that feeds every chunk into hash (downloads hash what they write).
+function hashing(hash) {
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      hash.update(chunk)
+      callback(null, chunk)
+    }
+  })
+}
+
+// Hash already known for the local file as it is now (same size and mtime), or null.
+function knownLocalHash(state, relPosix, stats) {
+  for (const e of [state?.hashes.get(relPosix), state?.files[relPosix]]) {
+    if (e?.hash && e.size === stats.size && e.mtimeMs === stats.mtimeMs) return e.hash
+  }
+  return null
+}
+
+function noteLocalHash(state, relPosix, stats, hash) {
+  state?.hashes.set(relPosix, { size: stats.size, mtimeMs: stats.mtimeMs, hash })
+}
+
+async function localContentHash(state, relPosix, abs, stats) {
+  const known = knownLocalHash(state, relPosix, stats)
+  if (known) return known
+  const hash = await hashFile(abs)
+  noteLocalHash(state, relPosix, stats, hash)
+  return hash
 }
 
-// Helper function to collect remote files
-async function collectRemoteFiles(client, rel, files) {
-  try {
-    const list = await client.getDirectoryContents('/' + rel)
-    for (const item of list) {
-      const relPath = item.filename.replace(/^\//, '')
-      if (shouldExcludePath(relPath)) continue
-      if (shouldSkipEntry(relPath, item.type === 'directory')) continue // ignore folders outside the selection (never flag for deletion)
+// ---------- Offline queue ----------
+// Local changes that could not reach the server (network down, retries used up) are remembered in
+// .sync-queue.json, so they survive a restart. The next Sync Up takes them over; a full Sync Up
+// would find them anyway, but watch mode only uploads what it was told about.
+const SYNC_QUEUE_FILE = '.sync-queue.json' // Excluded from WebDAV sync (INTERNAL_IGNORE_RULES)
 
-      if (item.type === 'directory') {
-        await collectRemoteFiles(client, relPath, files)
-      } else {
-        files.add(relPath)
-      }
-    }
-  } catch (e) {
-    // Directory doesn't exist or can't be read
+function syncQueueFilePath(pair) {
+  return path.join(pair.localRoot, SYNC_QUEUE_FILE)
+}
+
+async function loadSyncQueue(pair) {
+  try {
+    const data = JSON.parse(await fs.readFile(syncQueueFilePath(pair), 'utf8'))
+    pair.queue = new Set(Array.isArray(data?.paths) ? data.paths.filter((p) => typeof p === 'string') : [])
+  } catch {
+    pair.queue = new Set() // Missing or corrupt → nothing queued
   }
 }
 
-function isNetworkError(error) {
-  const networkCodes = ['ENOTFOUND', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH'] // Node codes
-  const code = error?.code || '' // Code
-  const status = error?.response?.status || 0 // HTTP status
-  return networkCodes.includes(code) || status >= 500 || status === 423 // Treat as transient
+// Writes are chained so a slow write can't overwrite a newer one.
+function saveSyncQueue(pair) {
+  const paths = [...pair.queue]
+  pair.queueSave = pair.queueSave.then(async () => {
+    try {
+      if (paths.length) await fs.writeFile(syncQueueFilePath(pair), JSON.stringify({ v: 1, paths }), 'utf8')
+      else await fs.rm(syncQueueFilePath(pair), { force: true }) // Empty queue → no file
+    } catch (e) {
+      console.warn('Could not save sync queue:', e?.message)
+    }
+  })
+  return pair.queueSave
 }
 
-// Check if error indicates permission issues (read-only share)
-function isPermissionError(error) {
-  const status = error?.response?.status || 0
-  const code = error?.code || ''
-  return status === 401 || status === 403 || status === 405 || status === 423 || code === 'EACCES'
+async function queueChanges(pair, rels) {
+  const before = pair.queue.size
+  for (const rel of rels) if (rel) pair.queue.add(rel)
+  if (pair.queue.size !== before) await saveSyncQueue(pair)
 }
 
-// Check if error indicates quota issues
-function isQuotaError(error) {
-  const status = error?.response?.status || 0
-  return status === 507 // Insufficient Storage
+// Hand the queued paths to a Sync Up; failures put them back via queueChanges.
+async function takeQueuedChanges(pair) {
+  const paths = [...pair.queue]
+  if (!paths.length) return paths
+  pair.queue.clear()
+  await saveSyncQueue(pair)
+  return paths
 }
 
-const SYNC_STATE_FILE = '.sync-state.json' // Local fingerprint store (excluded from WebDAV sync)
+// ---------- Offline mode ----------
+// A run that ends because the server can't be reached (see withRetry) doesn't flag an error: the
+// pair goes 'offline', watch mode queues local changes, and a probe with growing, jittered
+// intervals checks the server. Once it answers, a two-way sync brings up the queued changes and
+// fetches what changed on the server meanwhile.
+const OFFLINE_PROBE_MIN = 15 * 1000 // First reconnect attempt
+const OFFLINE_PROBE_MAX = 5 * 60 * 1000 // Probe interval cap
+
+function goOffline(pair) {
+  if (pair.status !== 'offline') {
+    console.warn(`${pairLabel(pair)} is offline, queueing changes`)
+    sendPairEvent(pair, 'sync-result', { status: 'warning', message: 'Server nicht erreichbar – offline, Änderungen werden vorgemerkt' })
+    pair.offlineDelay = OFFLINE_PROBE_MIN
+  }
+  setPairStatus(pair, 'offline')
+  scheduleConnectivityProbe(pair)
+}
 
-function syncStateFilePath() {
-  return path.join(localRoot, SYNC_STATE_FILE) // Absolute path to state file
+function scheduleConnectivityProbe(pair) {
+  clearTimeout(pair.offlineTimer)
+  const delay = pair.offlineDelay * (0.75 + Math.random() * 0.5) // ±25 % so pairs on one server don't probe in lockstep
+  pair.offlineTimer = setTimeout(() => probeConnectivity(pair), delay)
+  pair.offlineDelay = Math.min(OFFLINE_PROBE_MAX, pair.offlineDelay * 2)
 }
 
-async function loadSyncState() {
+async function probeConnectivity(pair) {
+  pair.offlineTimer = null
+  if (!pair.client || !pair.isConnected || pair.status !== 'offline') return // Signed out or a manual sync got through
   try {
-    const raw = await fs.readFile(syncStateFilePath(), 'utf8') // Read JSON
-    const data = JSON.parse(raw) // Parse
-    if (data && typeof data.files === 'object' && data.files !== null) {
-      return { files: { ...data.files } } // Mutable copy
-    }
-  } catch {
-    // Missing or corrupt → treat as empty
+    await pair.client.stat('/')
+  } catch (e) {
+    if (isAuthError(e)) return handleAuthFailure(pair) // Password changed while we were away
+    if (pair.status === 'offline') scheduleConnectivityProbe(pair)
+    return
   }
-  return { files: {} } // Default
+  await goOnline(pair)
 }
 
-async function saveSyncState(state) {
-  const payload = JSON.stringify({ v: 1, files: state.files }, null, 0) // Compact JSON
-  await fs.writeFile(syncStateFilePath(), payload, 'utf8') // Persist
+async function goOnline(pair) {
+  console.log(`${pairLabel(pair)} is back online`)
+  clearTimeout(pair.offlineTimer)
+  pair.offlineTimer = null
+  pair.unreachable = false
+  setPairStatus(pair, 'idle')
+  const queued = pair.queue.size
+  sendPairEvent(pair, 'sync-result', { status: 'info', message: queued ? `Server wieder erreichbar – ${queued} vorgemerkte Änderung(en) werden hochgeladen` : 'Server wieder erreichbar' })
+  if (pair.isSyncing) return // That run picks the queue up or ends offline again
+  try {
+    await performSync(pair) // Queued local changes and remote changes in one pass
+  } catch (e) {
+    console.error('Reconnect sync failed:', e?.message) // Already reported by the sync itself
+  }
 }
 
 // ---------- Folder selection (independent path selection, any depth) ----------
@@ -581,22 +2859,25 @@ async function saveSyncState(state) {
 // Stored locally; an empty/missing selection means "sync everything" (no filtering).
 const SYNC_FOLDERS_FILE = '.sync-folders.json' // Local selection store (excluded from WebDAV sync)
 
-function syncFoldersFilePath() {
-  return path.join(localRoot, SYNC_FOLDERS_FILE) // Absolute path
+function syncFoldersFilePath(pair) {
+  return path.join(pair.localRoot, SYNC_FOLDERS_FILE) // Absolute path
 }
 
-// In-memory selection for the current session. null = no filter (sync all).
-// A Set of POSIX paths (any depth, e.g. "Documents" or "Documents/Rechnungen").
-let selectedPaths = null
+// The in-memory selection lives on the pair as pair.selectedPaths. null = no filter (sync all);
+// otherwise a Set of POSIX paths (any depth, e.g. "Documents" or "Documents/Rechnungen").
 
-async function loadSelectedTopFolders() {
+async function loadSelectedTopFolders(pair) {
+  if (isAdminLocked('folders')) {
+    pair.selectedPaths = admin.config.folders.length ? new Set(admin.config.folders) : null // Enforced, whatever was saved
+    return pair.selectedPaths
+  }
   try {
-    const raw = await fs.readFile(syncFoldersFilePath(), 'utf8') // Read JSON
+    const raw = await fs.readFile(syncFoldersFilePath(pair), 'utf8') // Read JSON
     const data = JSON.parse(raw) // Parse
     // v3: { paths: [...] } independent path selection.
     if (data && Array.isArray(data.paths)) {
-      selectedPaths = data.paths.length ? new Set(data.paths) : null
-      return selectedPaths
+      pair.selectedPaths = data.paths.length ? new Set(data.paths) : null
+      return pair.selectedPaths
     }
     // Back-compat: v1/v2 stored top-level folders in "folders" (+ optional "excluded").
     // Migrate by treating selected top folders as selected paths; drop excluded sub-paths
@@ -604,24 +2885,24 @@ async function loadSelectedTopFolders() {
     if (data && Array.isArray(data.folders)) {
       const excluded = new Set(Array.isArray(data.excluded) ? data.excluded : [])
       const paths = data.folders.filter((f) => !excluded.has(f))
-      selectedPaths = paths.length ? new Set(paths) : null
-      return selectedPaths
+      pair.selectedPaths = paths.length ? new Set(paths) : null
+      return pair.selectedPaths
     }
   } catch {
-    // Missing or corrupt → no filter
+    // Missing or corrupt → no filter (or the admin's default selection)
   }
-  selectedPaths = null // Sync everything
-  return null
+  pair.selectedPaths = admin.config.folders?.length ? new Set(admin.config.folders) : null // Sync everything unless preset
+  return pair.selectedPaths
 }
 
-async function saveSelectedTopFolders(paths) {
-  selectedPaths = Array.isArray(paths) && paths.length ? new Set(paths) : null // Update in-memory
-  if (selectedPaths === null) {
-    try { await fs.unlink(syncFoldersFilePath()) } catch { /* nothing to remove */ }
+async function saveSelectedTopFolders(pair, paths) {
+  pair.selectedPaths = Array.isArray(paths) && paths.length ? new Set(paths) : null // Update in-memory
+  if (pair.selectedPaths === null && !admin.config.folders?.length) {
+    try { await fs.unlink(syncFoldersFilePath(pair)) } catch { /* nothing to remove */ }
     return
   }
-  const payload = JSON.stringify({ v: 3, paths: [...selectedPaths] }, null, 0) // Compact JSON
-  await fs.writeFile(syncFoldersFilePath(), payload, 'utf8') // Persist
+  const payload = JSON.stringify({ v: 3, paths: [...(pair.selectedPaths ?? [])] }, null, 0) // [] = everything (kept so an admin preset doesn't return)
+  await fs.writeFile(syncFoldersFilePath(pair), payload, 'utf8') // Persist
 }
 
 // Normalize a relative POSIX path (strip surrounding slashes).
@@ -631,7 +2912,7 @@ function cleanRel(relPosix) {
 
 // True when relPosix is the same as, or a descendant of, any selected path.
 // Such a path is fully in scope (its own files sync).
-function isUnderSelected(clean) {
+function isUnderSelected(selectedPaths, clean) {
   if (!selectedPaths) return false
   if (selectedPaths.has(clean)) return true // Exactly selected
   for (const sel of selectedPaths) {
@@ -642,7 +2923,7 @@ function isUnderSelected(clean) {
 
 // True when relPosix is a strict ancestor of some selected path (a pass-through directory
 // that must be created/traversed to reach a deeper selection, but isn't itself selected).
-function isAncestorOfSelected(clean) {
+function isAncestorOfSelected(selectedPaths, clean) {
   if (!selectedPaths) return false
   for (const sel of selectedPaths) {
     if (sel.startsWith(clean + '/')) return true // clean is an ancestor of sel
@@ -658,21 +2939,28 @@ function isAncestorOfSelected(clean) {
 //   - directory             → skip unless under a selection OR an ancestor of one (pass-through)
 // A pass-through directory is traversed/created but contributes no files of its own; files
 // directly inside it are nested files and get skipped by the file rule above.
-function shouldSkipEntry(relPosix, isDir) {
-  if (!selectedPaths) return false // No filter active → keep everything
+function shouldSkipEntry(pair, relPosix, isDir) {
+  if (!pair.selectedPaths) return false // No filter active → keep everything
   const clean = cleanRel(relPosix)
   if (!clean) return false // Root itself
   if (!isDir) {
     if (!clean.includes('/')) return false // Root-level loose file → keep
-    return !isUnderSelected(clean) // Nested file kept only under a selection
+    return !isUnderSelected(pair.selectedPaths, clean) // Nested file kept only under a selection
   }
-  if (isUnderSelected(clean)) return false // Directory in scope
-  if (isAncestorOfSelected(clean)) return false // Pass-through to a deeper selection
+  if (isUnderSelected(pair.selectedPaths, clean)) return false // Directory in scope
+  if (isAncestorOfSelected(pair.selectedPaths, clean)) return false // Pass-through to a deeper selection
   return true // Directory outside every selected subtree → skip
 }
 
-function recordSyncedLocalFile(relPosix, stats, state) {
-  state.files[relPosix] = { size: stats.size, mtimeMs: stats.mtimeMs } // Snapshot after last known alignment
+// Snapshot after the last known alignment: local size/mtime, content hash when known, and the
+// server's ETag and checksum from remoteItem.
+function recordSyncedLocalFile(relPosix, stats, state, remoteItem = null) {
+  const entry = { size: stats.size, mtimeMs: stats.mtimeMs, etag: remoteItem?.etag ?? null }
+  const hash = knownLocalHash(state, relPosix, stats) ?? null // Null until a decision or transfer needed it
+  if (hash) entry.hash = hash
+  if (remoteItem?.checksum) entry.checksum = remoteItem.checksum
+  if (remoteItem?.permissions != null) entry.permissions = remoteItem.permissions // Deletion checks in watch mode (no scan)
+  state.files[relPosix] = entry
 }
 
 function localMatchesSyncSnapshot(relPosix, stats, state) {
@@ -681,9 +2969,26 @@ function localMatchesSyncSnapshot(relPosix, stats, state) {
   return e.size === stats.size && e.mtimeMs === stats.mtimeMs // Skip PROPFIND if unchanged locally since last sync
 }
 
-async function pruneSyncStateMissingLocals(state) {
+// Local content unchanged since the last sync: same metadata, or — mtime drifted — the same hash.
+// Entries without our own hash (older state, files that were aligned without a transfer) compare
+// against the server's checksum recorded with the snapshot.
+async function localUnchangedSinceSync(relPosix, abs, stats, state) {
+  if (localMatchesSyncSnapshot(relPosix, stats, state)) return true
+  const entry = state.files[relPosix]
+  const synced = entry?.hash ?? entry?.checksum ?? null // Content at the last sync
+  if (!synced || entry.size !== stats.size) return false // Other size, or nothing to compare against
+  return (await localContentHash(state, relPosix, abs, stats)) === synced
+}
+
+// Local file and server copy have the same content (needs the server's checksum).
+async function sameContent(relPosix, abs, localStats, remoteItem, state) {
+  if (!remoteItem.checksum || localStats.size !== remoteItem.size) return false
+  return (await localContentHash(state, relPosix, abs, localStats)) === remoteItem.checksum
+}
+
+async function pruneSyncStateMissingLocals(pair, state) {
   for (const rel of Object.keys(state.files)) {
-    const abs = path.join(localRoot, ...rel.split('/')) // Native path from POSIX rel
+    const abs = path.join(pair.localRoot, ...rel.split('/')) // Native path from POSIX rel
     try {
       const st = await fs.stat(abs) // Exists?
       if (!st.isFile()) delete state.files[rel] // Not a regular file → drop
@@ -693,198 +2998,832 @@ async function pruneSyncStateMissingLocals(state) {
   }
 }
 
-// Simplified shouldDownload function
-async function shouldDownload(localPath, remoteItem) {
+// Largest mtime difference (ms) that still counts as "same time" (settings.sync).
+function timestampTolerance() {
+  return settings.sync.timestampToleranceSeconds * 1000
+}
+
+// Three-way change detection against the last-synced snapshot in .sync-state.json.
+// Returns which side changed since the last aligned sync:
+//   'none'     → both sides still match the snapshot (or look identical without one)
+//   'local'    → only the local copy changed (Sync Up's job)
+//   'remote'   → only the server copy changed (Sync Down's job)
+//   'conflict' → both changed, or both exist without a snapshot and differ
+// Equal content hashes override timestamps: a touched-but-identical file is no change, and two
+// identical copies are never a conflict.
+// localStats/remoteItem may be null when that side doesn't exist.
+async function compareWithSnapshot(relPosix, abs, localStats, remoteItem, state) {
+  if (!localStats) return remoteItem ? 'remote' : 'none' // Only on server
+  if (!remoteItem) return 'local' // Only local
+  const entry = state?.files[relPosix] // Last aligned snapshot
+  if (!entry) {
+    // Never synced: identical copies count as aligned, anything else keeps both
+    const timeDiff = Math.abs(new Date(remoteItem.lastmod).getTime() - localStats.mtimeMs)
+    if (localStats.size === remoteItem.size && timeDiff <= timestampTolerance()) return 'none'
+    return (await sameContent(relPosix, abs, localStats, remoteItem, state)) ? 'none' : 'conflict'
+  }
+  const localChanged = !(await localUnchangedSinceSync(relPosix, abs, localStats, state)) // Edited since last sync
+  const remoteChanged = remoteChangedSinceSync(entry, remoteItem) // Edited on server since last sync
+  if (localChanged && remoteChanged) {
+    return (await sameContent(relPosix, abs, localStats, remoteItem, state)) ? 'none' : 'conflict' // Same edit on both sides
+  }
+  if (remoteChanged) return 'remote'
+  if (localChanged) return (await sameContent(relPosix, abs, localStats, remoteItem, state)) ? 'none' : 'local' // Only the mtime moved (restore, copy)?
+  return 'none'
+}
+
+function remoteChangedSinceSync(entry, remoteItem) {
+  const synced = entry.checksum ?? entry.hash // Content as of the last sync
+  if (synced && remoteItem.checksum) return synced !== remoteItem.checksum // Checksums beat ETags (those move on metadata-only changes too)
+  if (entry.etag && remoteItem.etag) return entry.etag !== remoteItem.etag // ETag moved → content changed
+  const remoteTime = new Date(remoteItem.lastmod).getTime() // Snapshot from before ETags were recorded
+  return remoteTime - entry.mtimeMs > timestampTolerance() // Remote newer than what we aligned to
+}
+
+// Download decision for one remote file; returns a compareWithSnapshot() result.
+async function shouldDownload(localPath, relPosix, remoteItem, syncState) {
+  let localStats = null
+  try { localStats = await fs.stat(localPath) } catch { /* Local missing → download */ }
+  return compareWithSnapshot(relPosix, localPath, localStats, remoteItem, syncState)
+}
+
+// Conflict copy name: "name.conflict-<user>-<YYYYMMDD-HHMMSS>.ext" (an internal ignore rule, stays local).
+function conflictCopyName(pair, fileName) {
+  const ext = path.extname(fileName) // ".docx" or ""
+  const stem = ext ? fileName.slice(0, -ext.length) : fileName
+  const user = String(pair.username || os.userInfo().username).replace(/[^\w.-]+/g, '_') // Safe in file names
+  const stamp = fileStamp() // 20261019-101500
+  return `${stem}.conflict-${user}-${stamp}${ext}`
+}
+
+// Both sides changed: move the local version aside so the server version can take its place.
+// Called by downloadFile once the server version is complete; returns the copy's path.
+async function keepConflictCopy(pair, abs, relPosix) {
+  const copyName = conflictCopyName(pair, path.basename(abs))
+  const copyAbs = path.join(path.dirname(abs), copyName)
+  await fs.rename(abs, copyAbs) // Keep local edits next to the original
+  const copyRel = path.posix.join(path.posix.dirname(relPosix), copyName)
+  console.warn(`Conflict: ${relPosix} → local copy kept as ${copyRel}`)
+  logSync(pair, { op: 'conflict', path: relPosix, result: 'ok', detail: `lokale Version: ${copyRel}` })
+  sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Konflikt: ${relPosix} – lokale Version gesichert als ${copyName}`, conflict: { path: relPosix, copy: copyRel } })
+  notifyUser(pair, 'conflicts', `Konflikt bei ${relPosix} – lokale Version gesichert als ${copyName}`)
+  return copyAbs
+}
+
+// Fetch one remote file to abs, align its mtime to the server and record the new snapshot.
+// Streams into a hidden temp file next to the target (".<name>.download.tmp", excluded by the
+// internal rule .*.download.tmp) and renames it into place, so an interrupted transfer never
+// leaves a half-written file under the real name.
+// transfer (see trackTransfer) counts the streamed bytes for progress reports. With conflict the
+// local version becomes a conflict copy only after the download is complete, so a failed or
+// cancelled transfer leaves it under its name (and in the snapshot) untouched.
+async function downloadFile(pair, relPosix, abs, remoteItem, syncState, transfer = null, { conflict = false } = {}) {
+  await fs.mkdir(path.dirname(abs), { recursive: true }) // Ensure parent
+  const tmp = path.join(path.dirname(abs), `.${path.basename(abs)}.download.tmp`) // Same dir → atomic rename
+  let hash = null
+  try {
+    await withRetry(pair, async (signal) => { // Stream remote → disk (restarts on retry)
+      const digest = crypto.createHash(CONTENT_HASH) // Fresh per attempt
+      await pipeline(metered(transfer, throttled(pair, 'download', pair.client.createReadStream('/' + relPosix, { signal }))), hashing(digest), fssync.createWriteStream(tmp))
+      hash = digest.digest('hex')
+    })
+    const remoteTime = new Date(remoteItem.lastmod) // Remote mtime
+    await fs.utimes(tmp, remoteTime, remoteTime) // Set mtime
+    const copyAbs = conflict && fssync.existsSync(abs) ? await keepConflictCopy(pair, abs, relPosix) : null // Both edited → keep both
+    if (!copyAbs && fssync.existsSync(abs)) await archiveLocalVersion(pair, relPosix) // Keep the version being replaced
+    try {
+      await fs.rename(tmp, abs) // Swap in
+    } catch (e) {
+      if (copyAbs) await fs.rename(copyAbs, abs).catch(() => {}) // Local edits back under their name
+      throw e
+    }
+    await applyLocalPermissions(abs, remoteItem)
+  } catch (e) {
+    await fs.unlink(tmp).catch(() => {}) // Don't leave partial downloads behind
+    throw e
+  }
+  if (syncState) {
+    const st = await fs.stat(abs) // Local metadata after align
+    noteLocalHash(syncState, relPosix, st, hash)
+    recordSyncedLocalFile(relPosix, st, syncState, remoteItem) // Record for upload fast-path
+  }
+  console.log(`Downloaded: ${relPosix}`) // Log (the UI follows via sync-progress)
+  logSync(pair, { op: 'download', path: relPosix, direction: 'down', result: 'ok', detail: remoteItem.size != null ? `${remoteItem.size} Bytes` : null })
+}
+
+// Bring the local tree in line with a remote scan: create folders, plan, then download new or
+// changed files (conflicts keep both copies).
+async function downloadDir(pair, remoteTree, syncState = null, review = null) {
+  for (const rel of remoteTree.dirs) {
+    try {
+      await fs.mkdir(path.join(pair.localRoot, rel), { recursive: true }) // Ensure dir
+    } catch (e) {
+      console.error(`Error creating dir ${rel}:`, e?.message)
+    }
+  }
+  let plan = await planDownloads(pair, remoteTree, syncState)
+  if (review) plan = plan.filter((entry) => !review.exclude.has(entry.rel)) // Unticked in the preview
+  planProgress(pair, 'download', plan.map(({ item }) => item.size))
+  await checkSpace(pair)
+  await downloadPlanned(pair, plan, syncState)
+}
+
+// Work through a download plan, downloadConcurrency files at a time (conflicts keep the local edits as a copy).
+async function downloadPlanned(pair, plan, syncState) {
+  await runWithConcurrency(plan, settings.transfer.downloadConcurrency, async ({ rel, abs, item, change }) => {
+    await checkpoint(pair)
+    const transfer = trackTransfer(pair, rel, item.size || 0)
+    try {
+      await downloadFile(pair, rel, abs, item, syncState, transfer, { conflict: change === 'conflict' }) // Server version wins the original name
+    } catch (e) {
+      if (isCancelError(e)) throw e
+      console.error(`Error processing ${rel}:`, e?.message) // Per-item error
+      logSync(pair, { op: 'download', path: rel, direction: 'down', result: 'error', code: errorCode(e), message: e?.message })
+      transfer.fail()
+    } finally {
+      transfer.finish()
+    }
+  })
+}
+
+// Download plan for a remote scan: the files whose server copy changed, plus conflicts. Only
+// local stats here — scanRemoteTree did the PROPFINDs. Unchanged files refresh their snapshot
+// and, unless dryRun (the preview), take over the share's permissions on disk.
+async function planDownloads(pair, remoteTree, syncState, { dryRun = false } = {}) {
+  const plan = []
+  for (const [rel, item] of remoteTree.files) {
+    await checkpoint(pair)
+    try {
+      const abs = path.join(pair.localRoot, rel) // Local path
+      const change = await shouldDownload(abs, rel, item, syncState) // Three-way decision
+      if (change === 'remote' || change === 'conflict') {
+        plan.push({ rel, abs, item, change })
+      } else if (change === 'none' && syncState) {
+        try {
+          const st = await fs.stat(abs) // Already matches remote — refresh snapshot without re-download
+          recordSyncedLocalFile(rel, st, syncState, item) // Record for upload fast-path
+          if (!dryRun) await applyLocalPermissions(abs, item, st) // The share's permissions may have changed
+        } catch {
+          // Local vanished meanwhile — skip state
+        }
+      }
+      // 'local' → leave the snapshot untouched so Sync Up still sees the local edit
+    } catch (e) {
+      console.error(`Error processing ${rel}:`, e?.message) // Per-item error
+    }
+  }
+  return plan
+}
+
+// ---------- Permissions and shares ----------
+// Nextcloud reports per item what the user may do in oc:permissions: W write (files), C / K create
+// files / folders inside (folders), D delete, S shared with the user, M external storage.
+// oc:share-types lists how the user shared an item with others. The remote walk keeps the
+// permissions, so uploads and server deletions that would be refused are skipped before any
+// request goes out, and files the user can't change are read-only on disk as well. Without
+// permissions (another WebDAV server, an item from an older cache) everything is allowed and the
+// server decides as before (isPermissionError).
+function remotePermissions(props) {
+  const value = props?.permissions
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : null
+}
+
+function remoteShareTypes(props) {
+  const types = props?.['share-types']?.['share-type'] // One element or a list; '' when not shared
+  return [types ?? []].flat().map(Number).filter(Number.isFinite)
+}
+
+function permits(permissions, letter) {
+  return permissions === null || permissions === undefined || permissions.includes(letter)
+}
+
+// Badge data for the folder tree: share 'with-me' | 'by-me' | null, readOnly = nothing can be created.
+function folderAccess(props) {
+  const permissions = remotePermissions(props)
+  const share = permissions?.includes('S') ? 'with-me' : remoteShareTypes(props).length ? 'by-me' : null
+  return { share, readOnly: !permits(permissions, 'C') && !permits(permissions, 'K') }
+}
+
+// Overwriting needs W on the file; a new file C on its folder, or K on the nearest existing
+// ancestor when folders have to be created first. Without a scan (watch mode) only the file is known.
+function uploadAllowed(relPosix, remoteItem, remoteTree) {
+  if (remoteItem) return permits(remoteItem.permissions, 'W')
+  if (!remoteTree) return true
+  let dir = path.posix.dirname(relPosix)
+  let letter = 'C'
+  while (dir !== '.' && !remoteTree.dirs.has(dir)) {
+    dir = path.posix.dirname(dir)
+    letter = 'K'
+  }
+  return permits(remoteTree.dirPermissions.get(dir === '.' ? '' : dir), letter)
+}
+
+function warnReadOnly(pair, warned, relPosix, message) {
+  const dir = path.posix.dirname(relPosix)
+  if (warned.has(dir)) return
+  warned.add(dir)
+  const text = `${message} „/${dir === '.' ? '' : dir}“`
+  sendPairEvent(pair, 'sync-result', { status: 'warning', message: text })
+  notifyUser(pair, 'permissions', text)
+}
+
+// Planned uploads minus those the permissions rule out (one warning per folder, each file logged).
+function skipReadOnlyUploads(pair, plan, remoteTree) {
+  const warned = new Set()
+  return plan.filter((entry) => {
+    if (entry.change !== 'local' || uploadAllowed(entry.rel, entry.remoteItem, remoteTree)) return true
+    console.warn(`Skipped (no write permission): ${entry.rel}`)
+    warnReadOnly(pair, warned, entry.rel, 'Nur Lesezugriff – Uploads werden übersprungen in')
+    logSync(pair, { op: 'upload', path: entry.rel, direction: 'up', result: 'skipped', message: 'Nur Lesezugriff (oc:permissions)' })
+    return false
+  })
+}
+
+// Planned server deletions minus those without D. Those files lose their snapshot, so the next
+// Sync Down brings them back instead of the deletion being retried (and refused) every run.
+function skipReadOnlyDeletions(pair, rels, remoteTree, syncState) {
+  const warned = new Set()
+  return rels.filter((rel) => {
+    const permissions = remoteTree?.files.get(rel)?.permissions ?? syncState.files[rel]?.permissions ?? null
+    if (permits(permissions, 'D')) return true
+    delete syncState.files[rel]
+    console.warn(`Skipped deletion (no delete permission): ${rel}`)
+    warnReadOnly(pair, warned, rel, 'Kein Löschrecht – gelöschte Dateien kommen beim nächsten Sync zurück in')
+    logSync(pair, { op: 'delete', path: rel, direction: 'up', result: 'skipped', message: 'Kein Löschrecht (oc:permissions)' })
+    return false
+  })
+}
+
+// Read-only on disk while the server doesn't allow writing, writable again once it does.
+// Folders stay writable: downloads have to land in them.
+async function applyLocalPermissions(abs, remoteItem, stats = null) {
+  if (remoteItem?.permissions === null || remoteItem?.permissions === undefined) return
   try {
-    const localStats = await fs.stat(localPath) // Local stat
-    const remoteTime = new Date(remoteItem.lastmod) // Remote time
-    const localTime = new Date(localStats.mtime) // Local time
-    const timeDiff = remoteTime.getTime() - localTime.getTime() // Positive if remote newer
+    const st = stats ?? await fs.stat(abs)
+    const mode = permits(remoteItem.permissions, 'W') ? st.mode | 0o200 : st.mode & ~0o222
+    if ((mode & 0o777) !== (st.mode & 0o777)) await fs.chmod(abs, mode & 0o777)
+  } catch (e) {
+    console.warn(`Could not update permissions of ${abs}:`, e?.message)
+  }
+}
+
+// ---------- Remote tree scan (ETag delta) ----------
+// Nextcloud changes a folder's ETag whenever anything beneath it changes. The last listing of
+// every walked folder is cached in .sync-tree.json together with that ETag, so a folder whose
+// ETag is unchanged is served from the cache without a PROPFIND — and so is its whole subtree.
+// One scan serves Sync Down (downloads + deletions) and Sync Up (deletion check + upload decisions).
+const REMOTE_TREE_FILE = '.sync-tree.json' // Local remote-listing cache (excluded from WebDAV sync)
+
+function remoteTreeFilePath(pair) {
+  return path.join(pair.localRoot, REMOTE_TREE_FILE) // Absolute path
+}
 
-    return timeDiff > TIMESTAMP_TOLERANCE // Download if remote is newer
+async function loadRemoteTreeCache(pair) {
+  try {
+    const data = JSON.parse(await fs.readFile(remoteTreeFilePath(pair), 'utf8'))
+    if (data?.v === 3 && typeof data.dirs === 'object' && data.dirs !== null) return { dirs: data.dirs } // Older ones lack checksums / permissions → walk once
   } catch {
-    return true // Local missing → download
+    // Missing or corrupt → full walk
   }
+  return { dirs: {} }
+}
+
+async function saveRemoteTreeCache(pair, cache) {
+  const payload = JSON.stringify({ v: 3, dirs: cache.dirs }, null, 0) // Compact JSON
+  await fs.writeFile(remoteTreeFilePath(pair), payload, 'utf8') // Persist
 }
 
-async function downloadDir(client, remoteRel, localRoot, syncState = null) {
+// Scan the in-scope remote tree (exclusions + folder selection applied).
+// Returns { files: Map<rel, FileStat-like>, dirs: Set<rel>, dirPermissions: Map<rel, oc:permissions>,
+// failedDirs: Set<rel> } ('' = the root in dirPermissions); failedDirs are folders whose listing
+// failed, so nothing below them may be treated as deleted.
+async function scanRemoteTree(pair, { saveCache = true } = {}) {
+  const cache = await loadRemoteTreeCache(pair) // Listings from the last scan
+  const next = { dirs: {} } // Listings seen in this scan
+  const tree = { files: new Map(), dirs: new Set(), dirPermissions: new Map(), failedDirs: new Set() }
+  const { data: root } = await withRetry(pair, (signal) => pair.client.stat('/', { signal, details: true, data: FILE_PROPFIND })) // Depth 0 → root ETag; failure aborts the sync
+  tree.dirPermissions.set('', remotePermissions(root.props))
+  await scanRemoteDir(pair, '', root.etag, cache, next, tree)
+  if (!saveCache) return tree // Preview: leave every file in the pair's folder untouched
   try {
-    const list = await client.getDirectoryContents('/' + remoteRel) // List dir
-    for (const item of list) {
+    await saveRemoteTreeCache(pair, next)
+  } catch (e) {
+    console.warn('Could not save remote tree cache:', e?.message) // Next scan is just slower
+  }
+  return tree
+}
+
+async function scanRemoteDir(pair, rel, etag, cache, next, tree) {
+  const cached = cache.dirs[rel]
+  let entries
+  if (etag && cached?.etag === etag) {
+    entries = cached.entries // Unchanged since last scan → no PROPFIND
+  } else {
+    const list = await withRetry(pair, (signal) => pair.client.getDirectoryContents('/' + rel, { signal, details: true, data: FILE_PROPFIND })) // Changed or never listed
+    entries = list.data.map((item) => ({ name: item.basename, type: item.type, size: item.size, lastmod: item.lastmod, etag: item.etag, checksum: remoteChecksum(item.props), permissions: remotePermissions(item.props) }))
+  }
+  next.dirs[rel] = { etag, entries }
+
+  for (const entry of entries) {
+    const childRel = rel ? `${rel}/${entry.name}` : entry.name
+    if (await isExcluded(pair, childRel, entry.type === 'directory')) continue // Ignore rules (local .syncignore files apply remotely too)
+    if (shouldSkipEntry(pair, childRel, entry.type === 'directory')) continue // Outside the selection → don't even list it
+    if (entry.type === 'directory') {
+      tree.dirs.add(childRel)
+      tree.dirPermissions.set(childRel, entry.permissions ?? null)
       try {
-        const rel = item.filename.replace(/^\//,'') // Normalize
-        if (shouldExcludePath(rel)) continue // Skip excluded files and patterns
-        if (shouldSkipEntry(rel, item.type === 'directory')) continue // Skip folders outside the selection entirely (don't even create them)
-        const abs = path.join(localRoot, rel) // Local path
-
-        if (item.type === 'directory') {
-          await fs.mkdir(abs, { recursive: true }) // Ensure dir
-          await downloadDir(client, rel, localRoot, syncState) // Recurse
-        } else {
-          if (await shouldDownload(abs, item)) { // Decide
-            const buf = await client.getFileContents('/' + rel) // Read remote
-            await fs.mkdir(path.dirname(abs), { recursive: true }) // Ensure parent
-            await fs.writeFile(abs, buf) // Write file
-            const remoteTime = new Date(item.lastmod) // Remote mtime
-            await fs.utimes(abs, remoteTime, remoteTime) // Set mtime
-            if (syncState) {
-              const st = await fs.stat(abs) // Local metadata after align
-              recordSyncedLocalFile(rel, st, syncState) // Record for upload fast-path
-            }
-            console.log(`Downloaded: ${rel}`) // Log
-            win?.webContents?.send('sync-result', { status: 'info', message: `Heruntergeladen: ${rel}` })
-          } else if (syncState) {
-            try {
-              const st = await fs.stat(abs) // Already matches remote — refresh snapshot without re-download
-              recordSyncedLocalFile(rel, st, syncState) // Record for upload fast-path
-            } catch {
-              // Local missing though shouldDownload was false — unusual; skip state
-            }
-          }
-        }
+        await scanRemoteDir(pair, childRel, entry.etag, cache, next, tree) // Recurse
       } catch (e) {
-        console.error(`Error processing ${item.filename}:`, e?.message) // Per-item error
+        if (isCancelError(e)) throw e // Don't save a cache for an abandoned scan
+        tree.failedDirs.add(childRel) // Incomplete listing → never treat its files as deleted
+        console.error(`Error scanning dir ${childRel}:`, e?.message)
       }
+    } else {
+      tree.files.set(childRel, { filename: '/' + childRel, basename: entry.name, type: 'file', size: entry.size, lastmod: entry.lastmod, etag: entry.etag, checksum: entry.checksum ?? null, permissions: entry.permissions ?? null })
     }
-  } catch (e) {
-    if (!isNetworkError(e)) console.error(`Error downloading dir ${remoteRel}:`, e?.message) // Non-network error
-    throw e // Bubble up
   }
 }
 
-// Upload a single file: decides whether to upload, performs it, and updates state.
-// Safe to run concurrently with sibling files — the shared readOnlyWarned/quota/syncState
-// objects are only mutated, and Node's single-threaded model rules out real races.
-async function uploadFile(client, localRoot, nextRel, readOnlyWarned, stopUploadsDueToQuota, syncState) {
-  const localPath = path.join(localRoot, nextRel) // abs path
-  const localStats = await fs.stat(localPath) // Single local stat per file
-  if (syncState && localMatchesSyncSnapshot(nextRel, localStats, syncState)) {
-    return // Unchanged since last aligned sync — skip remote PROPFIND and upload
+function isUnderFailedDir(relPosix, remoteTree) {
+  for (const dir of remoteTree.failedDirs) {
+    if (relPosix.startsWith(dir + '/')) return true
+  }
+  return false
+}
+
+// ---------- Remote deletions (Sync Down) ----------
+// Remove local files that were deleted on the server since the last sync.
+// A local file missing from the scan only counts as "deleted remotely" when .sync-state.json
+// has a snapshot for it (so it was synced before) and it is unchanged since then.
+// No snapshot → created locally and never uploaded → kept for Sync Up.
+// Edited since the snapshot → kept too; Sync Up re-uploads it with the local changes.
+// review (from a preview): only the deletions the user kept ticked, without asking again.
+async function applyRemoteDeletions(pair, syncState, remoteTree, review = null) {
+  const { stale: found, changed } = await findRemoteDeletions(pair, syncState, remoteTree)
+  for (const rel of changed) {
+    console.warn(`Deleted on server but changed locally, keeping: ${rel}`)
+    logSync(pair, { op: 'delete', path: rel, direction: 'down', result: 'skipped', message: 'Am Server gelöscht, lokal geändert – bleibt erhalten' })
+    sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Am Server gelöscht, lokal geändert – bleibt erhalten: ${rel}` })
+  }
+  const stale = review ? found.filter((rel) => review.deletions.has(rel)) : found
+  if (stale.length === 0) return
+
+  const proceed = review || await confirmMassDeletion(`Löschung am Server erkannt – ${pairLabel(pair)}`, stale.length, stale.slice(0, 10), `${stale.length} Dateien wurden am Server gelöscht und werden lokal nach .sync-trash verschoben (wiederherstellbar). Fortfahren?`)
+  if (!proceed) {
+    sendPairEvent(pair, 'sync-result', { status: 'info', message: 'Lokale Löschungen übersprungen' })
+    return
   }
 
-  if (await shouldUpload(client, localPath, '/' + nextRel, localStats)) { // decide upload
-    const parentPosix = path.posix.dirname('/' + nextRel) // remote parent
-    if (parentPosix && parentPosix !== '/' && parentPosix !== '.') {
-      await ensureRemoteDir(client, parentPosix) // ensure parent
+  await removeLocalCopies(pair, stale, syncState, remoteTree)
+}
+
+// Archive local copies of files deleted on the server (restorable from .sync-trash), then drop
+// folders that no longer exist on the server once they're empty.
+async function removeLocalCopies(pair, stale, syncState, remoteTree) {
+  const touchedDirs = new Set() // Parents that may now be empty
+  for (const rel of stale) {
+    await checkpoint(pair)
+    try {
+      await archiveLocalVersion(pair, rel) // Restorable from .sync-trash
+      delete syncState.files[rel] // Keep state consistent
+      for (let dir = path.posix.dirname(rel); dir !== '.'; dir = path.posix.dirname(dir)) touchedDirs.add(dir)
+      console.log(`Deleted locally (removed on server): ${rel}`)
+      logSync(pair, { op: 'delete', path: rel, direction: 'down', result: 'ok', detail: 'am Server gelöscht, lokal nach .sync-trash verschoben' })
+      sendPairEvent(pair, 'sync-result', { status: 'info', message: `Lokal gelöscht (am Server entfernt): ${rel}` })
+    } catch (e) {
+      console.warn(`Could not delete ${rel} locally:`, e?.message)
+      logSync(pair, { op: 'delete', path: rel, direction: 'down', result: 'error', code: errorCode(e), message: e?.message })
+      sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Lokale Löschung fehlgeschlagen: ${rel}` })
     }
+  }
+
+  // Drop folders that no longer exist on the server once they're empty (deepest first)
+  const dirs = [...touchedDirs].filter((d) => !remoteTree.dirs.has(d)).sort((a, b) => b.length - a.length)
+  for (const dir of dirs) {
+    try { await fs.rmdir(path.join(pair.localRoot, ...dir.split('/'))) } catch { /* Not empty or already gone */ }
+  }
+}
 
+// Local files whose server copy is gone: stale (unchanged since the last sync → safe to remove)
+// and changed (edited locally since → kept). No side effects, so previews use it too.
+async function findRemoteDeletions(pair, syncState, remoteTree) {
+  const localFiles = await collectLocalFiles(pair, '', new Set()) // Same scope as the walk (exclusions + selection)
+  const stale = []
+  const changed = []
+  for (const rel of localFiles) {
+    if (remoteTree.files.has(rel) || isUnderFailedDir(rel, remoteTree)) continue // Still on server / unknown
+    if (!syncState.files[rel]) continue // Never synced → new local file
     try {
-      const data = await fs.readFile(localPath) // read local
-      await client.putFileContents('/' + nextRel, data, { overwrite: true }) // upload
+      const abs = path.join(pair.localRoot, ...rel.split('/'))
+      const st = await fs.stat(abs)
+      if (await localUnchangedSinceSync(rel, abs, st, syncState)) stale.push(rel)
+      else changed.push(rel)
+    } catch {
+      // Vanished meanwhile
+    }
+  }
+  return { stale, changed }
+}
 
-      // Align local mtime to the upload moment (whole seconds) instead of
-      // doing an extra PROPFIND for the server's lastmod. The server stamps
-      // lastmod ≈ now at second resolution, so this stays inside TIMESTAMP_TOLERANCE
-      // and avoids a per-file round-trip.
-      try {
-        const alignedTime = new Date(Math.floor(Date.now() / 1000) * 1000) // now, second resolution
-        await fs.utimes(localPath, alignedTime, alignedTime) // align mtime
-      } catch {
-        console.warn(`Could not sync timestamp for ${nextRel}`) // warn
-        win?.webContents?.send('sync-result', { status: 'warning', message: `Zeitstempel-Sync fehlgeschlagen: ${nextRel}` })
-      }
+// ---------- Sync trash (local version archive) ----------
+// Before a sync overwrites or deletes a local file, the previous version is moved to
+// .sync-trash/<run timestamp>/<rel> inside the pair's folder (an internal path, never synced).
+// All files of one sync run share a folder; runs older than the sync.trashRetentionDays setting
+// are dropped after each sync. Restoring puts a file back under its path, so the next Sync Up uploads it.
+const SYNC_TRASH_DIR = '.sync-trash'
 
-      if (syncState) {
-        const st = await fs.stat(localPath) // Post-upload metadata
-        recordSyncedLocalFile(nextRel, st, syncState) // Persist fast-path fingerprint
-      }
+// UTC stamp used in file names: 20261019-101500
+function fileStamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+}
 
-      console.log(`Uploaded: ${nextRel}`) // ok
-      win?.webContents?.send('sync-result', { status: 'info', message: `Hochgeladen: ${nextRel}` })
+function parseFileStamp(stamp) {
+  const m = /^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})$/.exec(stamp)
+  return m ? new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6])) : null
+}
+
+function syncTrashPath(pair, ...parts) {
+  return path.join(pair.localRoot, SYNC_TRASH_DIR, ...parts)
+}
+
+// Move the current local version of relPosix into this run's archive folder.
+async function archiveLocalVersion(pair, relPosix) {
+  pair.trashStamp ??= fileStamp() // First archived file of the run picks the folder
+  const target = syncTrashPath(pair, pair.trashStamp, ...relPosix.split('/'))
+  await fs.mkdir(path.dirname(target), { recursive: true })
+  await fs.rename(path.join(pair.localRoot, ...relPosix.split('/')), target) // Same volume → cheap move
+  logSync(pair, { op: 'archive', path: relPosix, result: 'ok', detail: `${SYNC_TRASH_DIR}/${pair.trashStamp}` })
+}
+
+async function pruneSyncTrash(pair) {
+  const cutoff = Date.now() - settings.sync.trashRetentionDays * 24 * 60 * 60 * 1000
+  let runs = []
+  try { runs = await fs.readdir(syncTrashPath(pair), { withFileTypes: true }) } catch { return } // No archive yet
+  for (const run of runs) {
+    const at = run.isDirectory() ? parseFileStamp(run.name) : null
+    if (!at || at.getTime() >= cutoff) continue // Unknown entries are left alone
+    try {
+      await fs.rm(syncTrashPath(pair, run.name), { recursive: true, force: true })
+      console.log(`Pruned sync trash run ${run.name}`)
     } catch (e) {
-      if (isPermissionError(e)) { // read-only share
-        const dirRel = path.posix.dirname(nextRel) || '/' // dir
-        if (!readOnlyWarned.has(dirRel)) { // warn once
-          readOnlyWarned.add(dirRel) // mark
-          win?.webContents?.send('sync-result', { status: 'warning', message: `Kein Schreibrecht in „/${dirRel}" – Uploads werden dort übersprungen` }) // notify
-        }
-        console.warn(`Skipped (read-only): ${nextRel}`) // log skip
-        win?.webContents?.send('sync-result', { status: 'warning', message: `Upload übersprungen (read-only): ${nextRel}` })
-        return // keep going with siblings
-      }
-      if (isQuotaError(e)) {
-        if (!stopUploadsDueToQuota.value) {
-          stopUploadsDueToQuota.value = true
-          console.warn('Server storage exhausted (507). Skipping remaining uploads this cycle.')
-          win?.webContents?.send('sync-result', { status: 'warning', message: 'Server-Speicher erschöpft (507) – restliche Uploads werden übersprungen' })
-        }
-        return
-      }
-      console.error(`Error uploading ${nextRel}:`, e?.message) // other error
-      win?.webContents?.send('sync-result', { status: 'warning', message: `Upload fehlgeschlagen: ${nextRel}` })
-      return // keep going with siblings
+      console.warn(`Could not prune sync trash run ${run.name}:`, e?.message)
     }
-  } else if (syncState) {
-    recordSyncedLocalFile(nextRel, localStats, syncState) // No upload needed; cache for next Sync Up
   }
 }
 
-// Upload function with permission checks. Files within a directory are processed
-// with bounded concurrency (UPLOAD_CONCURRENCY) so per-file PROPFINDs run in parallel;
-// subdirectories are still walked sequentially to avoid opening the whole tree at once.
-async function uploadDir(client, localRoot, rel, readOnlyWarned = new Set(), stopUploadsDueToQuota = { value: false }, syncState = null) {
+async function listTrashFiles(absDir, rel, out) {
+  for (const entry of await fs.readdir(absDir, { withFileTypes: true })) {
+    const childRel = rel ? `${rel}/${entry.name}` : entry.name
+    if (entry.isDirectory()) await listTrashFiles(path.join(absDir, entry.name), childRel, out)
+    else if (entry.isFile()) out.push({ rel: childRel, size: (await fs.stat(path.join(absDir, entry.name))).size })
+  }
+}
+
+ipcMain.handle('list-sync-trash', async (_event, { pairId } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  const items = []
   try {
-    const absDir = path.join(localRoot, rel) // local dir
-    const entries = await fs.readdir(absDir, { withFileTypes: true }) // list
+    for (const run of await fs.readdir(syncTrashPath(pair), { withFileTypes: true })) {
+      const at = run.isDirectory() ? parseFileStamp(run.name) : null
+      if (!at) continue
+      const files = []
+      await listTrashFiles(syncTrashPath(pair, run.name), '', files)
+      for (const f of files) items.push({ run: run.name, path: f.rel, size: f.size, archivedAt: at.toISOString() })
+    }
+  } catch (e) {
+    if (e?.code !== 'ENOENT') return { status: 'error', message: e?.message } // ENOENT → nothing archived yet
+  }
+  items.sort((a, b) => b.run.localeCompare(a.run) || a.path.localeCompare(b.path)) // Newest run first
+  return { status: 'ok', items, retentionDays: settings.sync.trashRetentionDays }
+})
 
-    const fileRels = [] // Files in this directory, processed in parallel below
-    const dirRels = [] // Subdirectories, recursed sequentially after files
+ipcMain.handle('restore-sync-trash', async (_event, { pairId, run, path: relPath }) => {
+  const pair = resolvePair(pairId)
+  if (!pair) return { status: 'error', message: 'Unbekanntes Konto' }
+  if (pair.isSyncing) return { status: 'already-syncing' } // Don't move files under a running sync
+  const rel = cleanRel(String(relPath || '').replace(/\\/g, '/'))
+  if (!parseFileStamp(String(run)) || !rel || rel.split('/').includes('..')) return { status: 'error', message: 'Ungültiger Eintrag' }
+  const source = syncTrashPath(pair, run, ...rel.split('/'))
+  const target = path.join(pair.localRoot, ...rel.split('/'))
+  try {
+    if (fssync.existsSync(target)) {
+      pair.trashStamp = null // Own archive folder, so the restore can be undone as well
+      await archiveLocalVersion(pair, rel)
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    await fs.rename(source, target)
+    for (let dir = path.dirname(source); dir.startsWith(syncTrashPath(pair) + path.sep); dir = path.dirname(dir)) {
+      try { await fs.rmdir(dir) } catch { break } // Drop emptied folders up to the run folder
+    }
+    console.log(`Restored from sync trash: ${rel} (${run})`)
+    logSync(pair, { op: 'restore', path: rel, result: 'ok', detail: `aus ${SYNC_TRASH_DIR}/${run}` })
+    sendPairEvent(pair, 'sync-result', { status: 'ok', message: `Wiederhergestellt: ${rel} – wird beim nächsten Sync Up hochgeladen` })
+    return { status: 'ok' }
+  } catch (e) {
+    console.error('restore-sync-trash failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  } finally {
+    pair.trashStamp = null
+  }
+})
 
-    for (const e of entries) {
-      if (shouldExcludePath(e.name)) continue // skip excluded files
-      const nextRel = path.posix.join(rel, e.name) // POSIX rel
-      if (shouldSkipEntry(nextRel, e.isDirectory())) continue // skip folders outside the selection entirely
-      if (e.isDirectory()) dirRels.push(nextRel)
-      else fileRels.push(nextRel)
+// ---------- Server trashbin ----------
+// Files Sync Up deletes on the server land in Nextcloud's trashbin (…/dav/trashbin/<user>/trash).
+// Items are listed with their original location and restored by a MOVE into …/restore/; the next
+// Sync Down brings them back locally. Only items below the pair's remote base folder are shown.
+const TRASHBIN_PROPFIND = `<?xml version="1.0"?>
+<d:propfind xmlns:d="DAV:" xmlns:nc="http://nextcloud.org/ns">
+  <d:prop>
+    <nc:trashbin-filename/>
+    <nc:trashbin-original-location/>
+    <nc:trashbin-deletion-time/>
+    <d:getcontentlength/>
+    <d:resourcetype/>
+  </d:prop>
+</d:propfind>`
+
+ipcMain.handle('list-server-trash', async (_event, { pairId } = {}) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.trashClient) return { status: 'no-client' } // Guard
+  try {
+    const list = await pair.trashClient.getDirectoryContents('/trash', { details: true, data: TRASHBIN_PROPFIND })
+    const prefix = pair.remoteBase ? pair.remoteBase + '/' : ''
+    const items = []
+    for (const item of list.data ?? list) {
+      const props = item.props || {}
+      const original = String(props['trashbin-original-location'] ?? '')
+      if (!original.startsWith(prefix)) continue // Outside this pair's remote folder
+      items.push({
+        name: item.basename, // Trashbin id, e.g. "Bericht.docx.d1760868000"
+        path: original.slice(prefix.length),
+        type: item.type,
+        size: item.type === 'file' ? item.size : null,
+        deletedAt: props['trashbin-deletion-time'] ? new Date(Number(props['trashbin-deletion-time']) * 1000).toISOString() : null
+      })
     }
+    items.sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt))) // Newest first
+    return { status: 'ok', items }
+  } catch (e) {
+    const status = e?.response?.status || e?.status || 0
+    console.error('list-server-trash failed:', e?.message)
+    if (status === 404 || status === 405) return { status: 'unavailable', message: 'Papierkorb am Server nicht verfügbar' }
+    return { status: 'error', message: e?.message }
+  }
+})
 
-    await runWithConcurrency(fileRels, UPLOAD_CONCURRENCY, async (nextRel) => {
-      if (stopUploadsDueToQuota.value) return // short-circuit uploads for this cycle
-      try {
-        await uploadFile(client, localRoot, nextRel, readOnlyWarned, stopUploadsDueToQuota, syncState)
-      } catch (e) {
-        console.error(`Error processing ${nextRel}:`, e?.message) // per-entry error
-      }
-    })
+ipcMain.handle('restore-server-trash', async (_event, { pairId, name }) => {
+  const pair = resolvePair(pairId)
+  if (!pair?.trashClient) return { status: 'no-client' } // Guard
+  const item = String(name || '')
+  if (!item || item.includes('/')) return { status: 'error', message: 'Ungültiger Eintrag' }
+  try {
+    await pair.trashClient.moveFile(`/trash/${item}`, `/restore/${item}`)
+    console.log(`Restored from server trashbin: ${item}`)
+    logSync(pair, { op: 'restore', path: item, result: 'ok', detail: 'aus dem Papierkorb des Servers' })
+    sendPairEvent(pair, 'sync-result', { status: 'ok', message: 'Am Server wiederhergestellt – erscheint beim nächsten Sync Down lokal' })
+    return { status: 'ok' }
+  } catch (e) {
+    console.error('restore-server-trash failed:', e?.message)
+    return { status: 'error', message: e?.message }
+  }
+})
 
-    for (const nextRel of dirRels) {
-      if (stopUploadsDueToQuota.value) break // short-circuit uploads for this cycle
-      try {
-        await uploadDir(client, localRoot, nextRel, readOnlyWarned, stopUploadsDueToQuota, syncState) // recurse
-      } catch (e) {
-        if (!isNetworkError(e)) console.error(`Error processing ${nextRel}:`, e?.message) // per-entry error
-        else throw e // bubble network errors to adjust backoff
-      }
+// Carry out one planned entry (see planUploads): upload a local change, or resolve a conflict by
+// keeping the local edits aside and fetching the server version.
+// Safe to run concurrently with sibling files — the shared readOnlyWarned/quota/syncState
+// objects are only mutated, and Node's single-threaded model rules out real races.
+async function uploadFile(pair, { rel: nextRel, localPath, change, remoteItem }, transfer, readOnlyWarned, stopUploadsDueToQuota, syncState) {
+  if (change === 'conflict') {
+    await downloadFile(pair, nextRel, localPath, remoteItem, syncState, transfer, { conflict: true }) // Local edits become a conflict copy, the original name follows the server
+    return
+  }
+
+  // 'local': only the local copy changed (or is new) → upload
+  try {
+    await ensureRemoteDir(pair, path.posix.dirname('/' + nextRel)) // Parent folders (errors handled like the upload's)
+    const st = await fs.stat(localPath) // Metadata the upload is based on
+    const hash = await localContentHash(syncState, nextRel, localPath, st) // Sent along as OC-Checksum
+    await uploadFileContents(pair, nextRel, localPath, st, hash, transfer) // stream (chunked for large files)
+
+    if (syncState) {
+      let uploaded = null
+      try { uploaded = await statRemoteFile(pair, nextRel) } catch { /* Next sync falls back to lastmod */ }
+      recordSyncedLocalFile(nextRel, st, syncState, uploaded) // Local mtime stays as is; the server took it over (X-OC-MTime)
     }
+
+    console.log(`Uploaded: ${nextRel}`) // ok (the UI follows via sync-progress)
+    logSync(pair, { op: 'upload', path: nextRel, direction: 'up', result: 'ok', detail: `${st.size} Bytes` })
   } catch (e) {
-    if (!isNetworkError(e)) console.error(`Error uploading dir ${rel}:`, e?.message) // non-network
-    throw e // bubble to adjust backoff
+    if (isCancelError(e)) throw e // Stops the run; the file is retried next time
+    if (isPermissionError(e)) { // read-only share
+      const dirRel = path.posix.dirname(nextRel) || '/' // dir
+      if (!readOnlyWarned.has(dirRel)) { // warn once
+        readOnlyWarned.add(dirRel) // mark
+        sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Kein Schreibrecht in „/${dirRel}" – Uploads werden dort übersprungen` }) // notify
+        notifyUser(pair, 'permissions', `Kein Schreibrecht in „/${dirRel}" – Uploads werden dort übersprungen`)
+      }
+      console.warn(`Skipped (read-only): ${nextRel}`) // log skip
+      logSync(pair, { op: 'upload', path: nextRel, direction: 'up', result: 'skipped', code: errorCode(e), message: 'Kein Schreibrecht' })
+      sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Upload übersprungen (read-only): ${nextRel}` })
+      return // keep going with siblings
+    }
+    if (isQuotaError(e)) {
+      if (!stopUploadsDueToQuota.value) {
+        stopUploadsDueToQuota.value = true
+        console.warn('Server storage exhausted (507). Skipping remaining uploads this cycle.')
+        sendPairEvent(pair, 'sync-result', { status: 'warning', message: 'Server-Speicher erschöpft (507) – restliche Uploads werden übersprungen' })
+        pair.quotaExceeded = true
+        updateTray()
+        notifyUser(pair, 'quota', 'Server-Speicher erschöpft – restliche Uploads werden übersprungen')
+      }
+      logSync(pair, { op: 'upload', path: nextRel, direction: 'up', result: 'skipped', code: 507, message: 'Server-Speicher erschöpft' })
+      return
+    }
+    if (isNetworkError(e)) {
+      await queueChanges(pair, [nextRel]) // Uploaded once the server answers again
+      sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Upload vorgemerkt (Verbindungsproblem): ${nextRel}` })
+      logSync(pair, { op: 'upload', path: nextRel, direction: 'up', result: 'queued', code: errorCode(e), message: e?.message })
+      return
+    }
+    console.error(`Error uploading ${nextRel}:`, e?.message) // other error
+    logSync(pair, { op: 'upload', path: nextRel, direction: 'up', result: 'error', code: errorCode(e), message: e?.message })
+    transfer?.fail()
+    sendPairEvent(pair, 'sync-result', { status: 'warning', message: `Upload fehlgeschlagen: ${nextRel}` })
+    return // keep going with siblings
+  }
+}
+
+// ---------- Streaming / chunked uploads ----------
+// Stream one local file to the server. Small files go in a single PUT; large ones use
+// Nextcloud's chunked upload v2 and fall back to a single streamed PUT on servers without it.
+async function uploadFileContents(pair, relPosix, localPath, st, hash, transfer = null) {
+  if (st.size >= CHUNKED_UPLOAD_THRESHOLD && pair.uploadsClient) {
+    if (await uploadChunked(pair, relPosix, localPath, st, hash, transfer)) return
   }
+  await withRetry(pair, (signal) => pair.client.putFileContents('/' + relPosix, metered(transfer, throttled(pair, 'upload', fssync.createReadStream(localPath))), { // Fresh stream per attempt
+    overwrite: true,
+    signal,
+    headers: { ...uploadMetaHeaders(st, hash), 'Content-Length': String(st.size) } // Streams carry no length of their own
+  }))
 }
 
-// Simplified shouldUpload function
-async function shouldUpload(client, localPath, remotePath, localStats = null) {
+// The server keeps the local mtime as lastmod and stores the checksum (read back as oc:checksums).
+function uploadMetaHeaders(st, hash) {
+  const headers = { 'X-OC-MTime': String(Math.floor(st.mtimeMs / 1000)) }
+  if (hash) headers['OC-Checksum'] = `SHA1:${hash}`
+  return headers
+}
+
+// Chunked upload v2: MKCOL …/uploads/<user>/<id>, PUT numbered chunks, MOVE <id>/.file onto the
+// target. The id is derived from path + size + mtime, so a retry after an interrupted transfer
+// finds the same staging folder and only sends the chunks that are still missing.
+// Returns false when the server doesn't offer the uploads endpoint.
+async function uploadChunked(pair, relPosix, localPath, st, hash, transfer = null) {
+  const destination = pair.filesBaseUrl + relPosix.split('/').map(encodeURIComponent).join('/') // Absolute target URL
+  const uploadId = 'life-sync-' + crypto.createHash('sha1').update(`${relPosix}\0${st.size}\0${st.mtimeMs}`).digest('hex')
+  const headers = { Destination: destination } // v2 wants the target on every request
+
+  const present = new Map() // chunk name → size already on server
   try {
-    const localSt = localStats ?? await fs.stat(localPath) // Local stat (reuse when already read)
-    const remoteStats = await client.stat(remotePath) // Remote stat
-    const remoteTime = new Date(remoteStats.lastmod) // Remote mtime
-    const localTime = new Date(localSt.mtime) // Local mtime
-    const timeDiff = localTime.getTime() - remoteTime.getTime() // Positive if local newer
+    const list = await withRetry(pair, (signal) => pair.uploadsClient.getDirectoryContents('/' + uploadId, { signal }))
+    for (const item of list) present.set(item.basename, item.size)
+    if (present.size) console.log(`Resuming chunked upload of ${relPosix} (${present.size} chunks on server)`)
+  } catch (e) {
+    if (e?.response?.status !== 404) throw e
+    try {
+      await withRetry(pair, (signal) => pair.uploadsClient.customRequest('/' + uploadId, { method: 'MKCOL', headers, signal })) // Start a new transfer
+    } catch (err) {
+      const status = err?.response?.status || 0
+      if (status === 404 || status === 405 || status === 501) return false // No chunking support → plain PUT
+      throw err
+    }
+  }
 
-    return timeDiff > TIMESTAMP_TOLERANCE // Upload if local is newer
-  } catch {
-    return true // Remote missing → upload
+  const chunkCount = Math.max(1, Math.ceil(st.size / UPLOAD_CHUNK_SIZE))
+  for (let i = 0; i < chunkCount; i++) {
+    const name = String(i + 1).padStart(5, '0') // 00001 … 10000
+    const start = i * UPLOAD_CHUNK_SIZE
+    const length = Math.min(UPLOAD_CHUNK_SIZE, st.size - start)
+    if (present.get(name) === length) { transfer?.skip(length); continue } // Already uploaded in an earlier attempt
+    await withRetry(pair, (signal) => pair.uploadsClient.putFileContents(`/${uploadId}/${name}`, metered(transfer, throttled(pair, 'upload', fssync.createReadStream(localPath, { start, end: start + length - 1 })), name), {
+      overwrite: true,
+      signal,
+      headers: { ...headers, 'Content-Length': String(length) }
+    })) // Only this chunk is resent on a retry
   }
+
+  await withRetry(pair, (signal) => pair.uploadsClient.customRequest(`/${uploadId}/.file`, { // Assemble on the server
+    method: 'MOVE',
+    signal,
+    headers: { ...headers, ...uploadMetaHeaders(st, hash), 'OC-Total-Length': String(st.size), Overwrite: 'T' }
+  }))
+  return true
+}
+
+// Upload plan: decide for every candidate file with bounded concurrency (uploadConcurrency),
+// since without a remote scan each decision costs a PROPFIND. Returns the files to upload and
+// the conflicts to resolve; unchanged files refresh their snapshot on the way.
+async function planUploads(pair, rels, syncState, remoteTree = null) {
+  const plan = []
+  await runWithConcurrency([...rels], settings.transfer.uploadConcurrency, async (rel) => {
+    await checkpoint(pair)
+    try {
+      const localPath = path.join(pair.localRoot, rel) // abs path
+      const localStats = await fs.stat(localPath) // Single local stat per file
+      if (syncState && localMatchesSyncSnapshot(rel, localStats, syncState)) {
+        return // Unchanged since last aligned sync — skip remote PROPFIND and upload
+      }
+      const { change, remoteItem } = await shouldUpload(pair, localPath, rel, localStats, syncState, remoteTree) // Three-way decision
+      if (change === 'local' || change === 'conflict') {
+        plan.push({ rel, localPath, localStats, change, remoteItem })
+      } else if (change === 'none' && syncState) {
+        recordSyncedLocalFile(rel, localStats, syncState, remoteItem) // No upload needed; cache for next Sync Up
+      }
+      // 'remote' → server copy is newer and local is unchanged; Sync Down fetches it
+    } catch (e) {
+      if (isCancelError(e)) throw e
+      if (isNetworkError(e)) await queueChanges(pair, [rel]) // Decided again once the server answers
+      else console.error(`Error processing ${rel}:`, e?.message) // per-entry error
+    }
+  })
+  return plan
+}
+
+// Bytes an upload-plan entry moves: the local file, or the server copy for a conflict.
+function uploadEntrySize(entry) {
+  return (entry.change === 'conflict' ? entry.remoteItem.size : entry.localStats.size) || 0
+}
+
+// Register an upload plan with the progress report (conflicts are downloads).
+function planUploadProgress(pair, plan) {
+  planProgress(pair, 'upload', plan.filter((entry) => entry.change === 'local').map(uploadEntrySize))
+  planProgress(pair, 'download', plan.filter((entry) => entry.change === 'conflict').map(uploadEntrySize))
+}
+
+// Work through an upload plan with bounded concurrency (uploadConcurrency from the transfer settings).
+async function uploadPlanned(pair, plan, syncState) {
+  const readOnlyWarned = new Set() // Warn once per read-only folder
+  const stopUploadsDueToQuota = { value: false }
+  await runWithConcurrency(plan, settings.transfer.uploadConcurrency, async (entry) => {
+    await checkpoint(pair)
+    const transfer = trackTransfer(pair, entry.rel, uploadEntrySize(entry))
+    try {
+      if (stopUploadsDueToQuota.value) { // short-circuit uploads for this cycle
+        logSync(pair, { op: 'upload', path: entry.rel, direction: 'up', result: 'skipped', code: 507, message: 'Server-Speicher erschöpft' })
+        return
+      }
+      await uploadFile(pair, entry, transfer, readOnlyWarned, stopUploadsDueToQuota, syncState)
+    } catch (e) {
+      if (isCancelError(e)) throw e
+      console.error(`Error processing ${entry.rel}:`, e?.message) // per-entry error
+      logSync(pair, { op: 'upload', path: entry.rel, direction: 'up', result: 'error', code: errorCode(e), message: e?.message })
+      transfer.fail()
+    } finally {
+      transfer.finish()
+    }
+  })
+}
+
+// Upload decision for one local file; returns the compareWithSnapshot() result plus the
+// remote stat it was based on (null when the file doesn't exist on the server yet).
+// With a remoteTree from scanRemoteTree the remote side comes from the scan (no PROPFIND).
+async function shouldUpload(pair, localPath, relPosix, localStats = null, syncState = null, remoteTree = null) {
+  const localSt = localStats ?? await fs.stat(localPath) // Local stat (reuse when already read)
+  let remoteItem = null
+  if (remoteTree && !isUnderFailedDir(relPosix, remoteTree)) {
+    remoteItem = remoteTree.files.get(relPosix) ?? null // Absent from a complete scan → new file
+  } else {
+    try {
+      remoteItem = await statRemoteFile(pair, relPosix) // Remote stat (lastmod, ETag, checksum)
+    } catch (e) {
+      if (e?.response?.status !== 404 && e?.status !== 404) throw e // Only "not found" means "new file"
+    }
+  }
+  return { change: await compareWithSnapshot(relPosix, localPath, localSt, remoteItem, syncState), remoteItem }
 }
 
 // ---------- Helpers ----------
-async function ensureRemoteDir(client, posixDir) {
+// "1.5 GB" for messages (same units as the renderer's formatSize).
+function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let n = bytes, i = 0
+  while (n >= 1024 && i < units.length - 1) { n /= 1024; i++ }
+  return `${n.toFixed(n < 10 && i > 0 ? 1 : 0)} ${units[i]}`
+}
+
+// MKCOL every component; 405 means it already exists. Retries, cancel and offline detection as
+// for any other request (withRetry); other errors reach the caller.
+async function ensureRemoteDir(pair, posixDir) {
   if (!posixDir || posixDir === '/' || posixDir === '.') return // Guard
   const parts = posixDir.split('/').filter(Boolean) // Components
   let cur = '' // Accumulator
   for (const p of parts) {
     cur += '/' + p // Build path
-    try { await client.stat(cur) } // Exists
-    catch { try { await client.createDirectory(cur) } catch (e) { console.warn(`Could not create dir ${cur}:`, e?.message) } } // Create
+    try {
+      await withRetry(pair, (signal) => pair.client.createDirectory(cur, { signal })) // Create
+    } catch (e) {
+      if ((e?.response?.status || e?.status) !== 405) throw e // 405 Method Not Allowed: exists already
+    }
   }
 }
\ No newline at end of file
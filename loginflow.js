@@ -0,0 +1,84 @@
+// Nextcloud Login Flow v2: the user approves the app in the browser (2FA/SSO work there) and
+// the server hands out an app password. Docs: https://docs.nextcloud.com/server/latest/developer_manual/client_apis/LoginFlow/
+// Plain fetch and no Electron imports, so it runs against a stub HTTP server as well;
+// the caller decides how the login URL is opened.
+
+const POLL_INTERVAL = 2000 // ms between polls
+const FLOW_TIMEOUT = 20 * 60 * 1000 // Nextcloud drops the poll token after 20 minutes
+const USER_AGENT = 'LiFE Nextcloud Sync' // Shown as device name in the user's security settings
+
+// Sleep that ends early (rejecting) when the signal aborts.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason) }, { once: true })
+  })
+}
+
+// The account's user id, which names its WebDAV folder (/remote.php/dav/files/<id>/). With email,
+// LDAP or SSO logins it often differs from the login name, which is only good for authenticating.
+export async function fetchUserId(server, loginName, appPassword, { signal } = {}) {
+  const res = await fetch(`${server}/ocs/v1.php/cloud/user?format=json`, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'application/json',
+      'OCS-APIRequest': 'true',
+      Authorization: 'Basic ' + Buffer.from(`${loginName}:${appPassword}`).toString('base64')
+    },
+    signal
+  })
+  if (!res.ok) throw new Error(`Benutzerkennung nicht abrufbar (HTTP ${res.status})`)
+  const id = (await res.json())?.ocs?.data?.id
+  if (typeof id !== 'string' || !id) throw new Error('Ungültige Antwort beim Abruf der Benutzerkennung')
+  return id
+}
+
+// Run the flow: POST /index.php/login/v2, open the returned login URL, poll until approved, then
+// look up the user id. Resolves to { server, username (user id), loginName, appPassword }; rejects
+// on timeout, abort, a refused flow or a server without OCS user info (then error.credentials
+// holds the app password that was handed out). Network errors and 5xx
+// answers while polling are retried until the token expires (Wi-Fi drops while the user logs in).
+export async function loginFlowV2(server, { openUrl, signal, pollInterval = POLL_INTERVAL, timeout = FLOW_TIMEOUT } = {}) {
+  const base = server.replace(/\/+$/, '') // No trailing slash
+  const headers = { 'User-Agent': USER_AGENT, Accept: 'application/json' }
+
+  const res = await fetch(`${base}/index.php/login/v2`, { method: 'POST', headers, signal }) // Start flow
+  if (!res.ok) throw new Error(`Login Flow nicht verfügbar (HTTP ${res.status})`)
+  const { poll, login } = await res.json()
+  if (!poll?.token || !poll?.endpoint || !login) throw new Error('Ungültige Antwort vom Login Flow')
+
+  await openUrl(login) // Browser takes over from here
+
+  const deadline = Date.now() + timeout
+  let lastProblem = null // Transient poll error, reported if the token runs out meanwhile
+  while (Date.now() < deadline) {
+    await sleep(pollInterval, signal)
+    let answer
+    try {
+      answer = await fetch(poll.endpoint, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ token: poll.token }).toString(),
+        signal
+      })
+    } catch (e) {
+      if (signal?.aborted) throw e
+      lastProblem = e?.message // Network error → next poll
+      continue
+    }
+    if (answer.status === 404) continue // Not approved yet
+    if (answer.status >= 500) { lastProblem = `HTTP ${answer.status}`; continue } // Server hiccup → next poll
+    if (!answer.ok) throw new Error(`Login Flow fehlgeschlagen (HTTP ${answer.status})`)
+    const data = await answer.json()
+    if (!data?.server || !data?.loginName || !data?.appPassword) throw new Error('Ungültige Antwort vom Login Flow')
+    const result = { server: data.server.replace(/\/+$/, ''), loginName: data.loginName, appPassword: data.appPassword }
+    try {
+      return { ...result, username: await fetchUserId(result.server, result.loginName, result.appPassword, { signal }) }
+    } catch (e) {
+      e.credentials = result // Lets the caller revoke the app password nobody will use
+      throw e
+    }
+  }
+  throw new Error(`Zeitüberschreitung – Anmeldung im Browser nicht abgeschlossen${lastProblem ? ` (zuletzt: ${lastProblem})` : ''}`)
+}
@@ -0,0 +1,136 @@
+// Versioned app settings for userData/settings.json: schema, validation and migration.
+// v1 is the time before the store: transfer caps lived in transfer.json, the global exclusions in
+// global.syncignore, everything else was hard-coded. v2 keeps all of it in one file.
+// No Electron or fs imports: index.js reads and writes the file and applies the values.
+import os from 'os'
+import path from 'path'
+
+export const SETTINGS_VERSION = 2
+
+// Exclusions shipped with the app (.gitignore syntax); editable in the settings screen.
+export const DEFAULT_IGNORE = [
+  'node_modules/', // Node.js dependencies
+  '.DS_Store',     // macOS system files
+  'Thumbs.db',     // Windows thumbnails
+  'desktop.ini',   // Windows system files
+  '.git/',         // Git repository
+  '.vscode/',      // VS Code settings
+  '.idea/',        // IntelliJ/WebStorm settings
+  '*.tmp',         // Temporary files
+  '*.log'          // Log files
+].join('\n')
+
+// Every setting by its dotted key: type, bounds, default and the label the UI shows in errors.
+const SCHEMA = {
+  'general.appTitle': { type: 'string', maxLength: 80, default: 'LiFE Nextcloud Sync', label: 'App-Titel' },
+  'general.defaultServer': { type: 'url', default: 'https://cloud.xapient.solutions', label: 'Standard-Server' },
+  'general.defaultLocalRoot': { type: 'path', default: path.join(os.homedir(), 'Nextcloud-Temp'), label: 'Lokaler Ordner' },
+  'sync.timestampToleranceSeconds': { type: 'integer', min: 0, max: 3600, default: 5, label: 'Zeittoleranz' },
+  'sync.trashRetentionDays': { type: 'integer', min: 1, max: 3650, default: 30, label: 'Aufbewahrung alter Versionen' }, // .sync-trash
+  'transfer.uploadLimitKBps': { type: 'integer', min: 0, max: 10000000, default: 0, label: 'Upload-Limit' },
+  'transfer.downloadLimitKBps': { type: 'integer', min: 0, max: 10000000, default: 0, label: 'Download-Limit' },
+  'transfer.uploadConcurrency': { type: 'integer', min: 1, max: 16, default: 12, label: 'Parallele Uploads' }, // Also the parallel upload decisions (PROPFINDs)
+  'transfer.downloadConcurrency': { type: 'integer', min: 1, max: 16, default: 4, label: 'Parallele Downloads' },
+  'transfer.schedule.enabled': { type: 'boolean', default: false, label: 'Zeitplan' },
+  'transfer.schedule.days': { type: 'days', default: [1, 2, 3, 4, 5], label: 'Wochentage' }, // 0 = Sunday
+  'transfer.schedule.from': { type: 'time', default: '07:45', label: 'Zeitplan von' },
+  'transfer.schedule.to': { type: 'time', default: '13:15', label: 'Zeitplan bis' },
+  'transfer.schedule.uploadLimitKBps': { type: 'integer', min: 0, max: 10000000, default: 256, label: 'Upload im Zeitplan' },
+  'transfer.schedule.downloadLimitKBps': { type: 'integer', min: 0, max: 10000000, default: 1024, label: 'Download im Zeitplan' },
+  'notifications.syncDone': { type: 'boolean', default: true, label: 'Benachrichtigung bei fertigem Sync' },
+  'notifications.conflicts': { type: 'boolean', default: true, label: 'Benachrichtigung bei Konflikten' },
+  'notifications.permissions': { type: 'boolean', default: true, label: 'Benachrichtigung bei fehlendem Schreibrecht' },
+  'notifications.quota': { type: 'boolean', default: true, label: 'Benachrichtigung bei vollem Server-Speicher' },
+  'ignore.defaults': { type: 'text', default: DEFAULT_IGNORE, label: 'Standard-Regeln' },
+  'ignore.global': { type: 'text', default: '', label: 'Eigene Regeln' }
+}
+
+function getPath(obj, key) {
+  return key.split('.').reduce((o, part) => (o && typeof o === 'object' ? o[part] : undefined), obj)
+}
+
+function setPath(obj, key, value) {
+  const parts = key.split('.')
+  const last = parts.pop()
+  let o = obj
+  for (const part of parts) o = o[part] ??= {}
+  o[last] = value
+}
+
+export function defaultSettings() {
+  const settings = { v: SETTINGS_VERSION }
+  for (const [key, spec] of Object.entries(SCHEMA)) setPath(settings, key, structuredClone(spec.default))
+  return settings
+}
+
+// { value } when raw fits the spec (normalized, e.g. "12" → 12), else { error }.
+function checkValue(spec, raw) {
+  switch (spec.type) {
+    case 'string': {
+      const value = String(raw ?? '').trim()
+      if (!value) return { error: 'darf nicht leer sein' }
+      return value.length <= spec.maxLength ? { value } : { error: `höchstens ${spec.maxLength} Zeichen` }
+    }
+    case 'url': {
+      const value = String(raw ?? '').trim().replace(/\/+$/, '')
+      if (!value) return { value } // No preset
+      try {
+        if (['http:', 'https:'].includes(new URL(value).protocol)) return { value }
+      } catch { /* Not a URL */ }
+      return { error: 'keine gültige http(s)-Adresse' }
+    }
+    case 'path': {
+      const value = String(raw ?? '').trim().replace(/^~(?=$|[\\/])/, os.homedir()) // "~/Sync" → home folder
+      return path.isAbsolute(value) ? { value: path.normalize(value) } : { error: 'absoluter Pfad erwartet' }
+    }
+    case 'integer': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw
+      if (Number.isInteger(value) && value >= spec.min && value <= spec.max) return { value }
+      return { error: `ganze Zahl von ${spec.min} bis ${spec.max} erwartet` }
+    }
+    case 'boolean':
+      return typeof raw === 'boolean' ? { value: raw } : { error: 'ja/nein erwartet' }
+    case 'days': {
+      const ok = Array.isArray(raw) && raw.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+      return ok ? { value: [...new Set(raw)].sort() } : { error: 'Wochentage 0–6 erwartet' }
+    }
+    case 'time':
+      return /^([01]\d|2[0-3]):[0-5]\d$/.test(raw) ? { value: raw } : { error: 'Uhrzeit HH:MM erwartet' }
+    case 'text':
+      return typeof raw === 'string' ? { value: raw.replace(/\r\n/g, '\n') } : { error: 'Text erwartet' }
+  }
+  return { error: 'unbekannter Typ' }
+}
+
+// Complete settings from a (partial) input: keys missing in input keep their value from base,
+// invalid ones too — and are listed in errors as { key, label, message } (German, for the UI).
+// Unknown keys are dropped.
+export function validateSettings(input, base = defaultSettings()) {
+  const settings = defaultSettings()
+  const errors = []
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const raw = getPath(input, key)
+    const checked = raw === undefined ? null : checkValue(spec, raw)
+    if (checked && !('error' in checked)) {
+      setPath(settings, key, checked.value)
+      continue
+    }
+    if (checked) errors.push({ key, label: spec.label, message: `${spec.label}: ${checked.error}` })
+    const kept = getPath(base, key)
+    if (kept !== undefined) setPath(settings, key, structuredClone(kept))
+  }
+  return { settings, errors }
+}
+
+// Stored data → the current layout. data is null when there is no settings.json yet; legacy
+// carries what v1 kept elsewhere: { transfer } from transfer.json, { globalIgnore } from
+// global.syncignore. Newer versions (after a downgrade) pass through; validation keeps what it knows.
+export function migrateSettings(data, legacy = {}) {
+  if (data && typeof data === 'object' && data.v >= SETTINGS_VERSION) return data
+  const { v: _version, ...transfer } = legacy.transfer ?? {}
+  return {
+    v: SETTINGS_VERSION,
+    transfer,
+    ignore: { global: legacy.globalIgnore ?? '' }
+  }
+}
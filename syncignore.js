@@ -0,0 +1,135 @@
+// Ignore rules with .gitignore semantics for the sync walks.
+// Rules come in layers — base rules (built-in defaults, the user's global list), then the
+// .syncignore files of the sync root and its subfolders. As in git, the last matching rule wins,
+// so a deeper .syncignore overrides a shallower one and "!pattern" re-includes; nothing inside an
+// ignored folder can be re-included. Hard rules (internal files) can't be negated at all.
+// No Electron or fs imports: the caller hands in a loader for per-folder rule files.
+
+export const IGNORE_FILE = '.syncignore'
+
+// Parse .gitignore-style text. base: folder (POSIX, '' = root) the patterns are relative to.
+// source/line are kept so the UI can name the rule that decided.
+export function parseIgnoreRules(text, { base = '', source = IGNORE_FILE } = {}) {
+  const rules = []
+  String(text || '').split(/\r?\n/).forEach((raw, index) => {
+    let line = raw.endsWith('\\ ') ? raw : raw.trimEnd() // Trailing blanks only count when escaped
+    if (!line || line.startsWith('#')) return // Blank or comment
+    let negate = false
+    if (line.startsWith('!')) { negate = true; line = line.slice(1) }
+    else if (line.startsWith('\\!') || line.startsWith('\\#')) line = line.slice(1) // Literal ! or #
+    let dirOnly = false
+    if (line.endsWith('/')) { dirOnly = true; line = line.replace(/\/+$/, '') } // "build/" → folders only
+    if (!line) return
+    const anchored = line.includes('/') // A slash before the end ties the pattern to base
+    try {
+      const regex = globToRegExp(line.replace(/^\//, ''))
+      rules.push({ pattern: raw.trim(), negate, dirOnly, anchored, regex, base, source, line: index + 1 })
+    } catch {
+      // Broken pattern (e.g. "[z-a]") → skip it like git does
+    }
+  })
+  return rules
+}
+
+function escapeRegExp(c) {
+  return c.replace(/[.+^${}()|[\]\\*?]/g, '\\$&')
+}
+
+// "*" and "?" stay within one path segment; "**/" spans folders, a trailing "/**" means everything inside.
+function globToRegExp(glob) {
+  let re = ''
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i]
+    if (c === '*' && glob[i + 1] === '*') {
+      const atSegmentStart = i === 0 || glob[i - 1] === '/'
+      if (atSegmentStart && glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; continue } // Zero or more folders
+      if (atSegmentStart && i + 2 === glob.length) { re += '.*'; i += 1; continue } // Everything below
+      re += '[^/]*'; i += 1; continue // Any other "**" acts like "*"
+    }
+    if (c === '*') re += '[^/]*'
+    else if (c === '?') re += '[^/]'
+    else if (c === '[') {
+      const end = glob.indexOf(']', i + 2) // "[]…]" keeps the first "]" literal
+      if (end === -1) { re += '\\['; continue }
+      const cls = glob.slice(i + 1, end)
+      re += '[' + (cls.startsWith('!') ? '^' + cls.slice(1) : cls) + ']'
+      i = end
+    } else if (c === '\\' && i + 1 < glob.length) re += escapeRegExp(glob[++i])
+    else re += escapeRegExp(c)
+  }
+  return new RegExp('^' + re + '$')
+}
+
+function ruleMatches(rule, rel, isDir) {
+  if (rule.dirOnly && !isDir) return false
+  let sub = rel
+  if (rule.base) {
+    if (!rel.startsWith(rule.base + '/')) return false // Rule file lives elsewhere
+    sub = rel.slice(rule.base.length + 1)
+  }
+  return rule.regex.test(rule.anchored ? sub : sub.slice(sub.lastIndexOf('/') + 1)) // Unanchored → name at any depth
+}
+
+// Matcher over layered rules. loadDirRules(dir) resolves to the text of that folder's .syncignore
+// (or null) and is called at most once per folder; create a new matcher to pick up edits.
+export function createIgnoreMatcher({ hardRules = [], baseRules = [], loadDirRules = async () => null } = {}) {
+  const dirRules = new Map() // dir → Promise<rules>
+  const dirVerdicts = new Map() // dir → Promise<verdict> (ancestor checks repeat a lot)
+
+  function rulesFor(dir) {
+    if (!dirRules.has(dir)) {
+      const source = dir ? `${dir}/${IGNORE_FILE}` : IGNORE_FILE
+      dirRules.set(dir, Promise.resolve()
+        .then(() => loadDirRules(dir))
+        .then((text) => (text ? parseIgnoreRules(text, { base: dir, source }) : []), () => []))
+    }
+    return dirRules.get(dir)
+  }
+
+  function hardMatch(rel, isDir) {
+    return hardRules.find((rule) => ruleMatches(rule, rel, isDir)) ?? null
+  }
+
+  // Verdict for exactly this path; its folders are checked by the caller.
+  async function verdict(rel, isDir) {
+    const hard = hardMatch(rel, isDir)
+    if (hard) return { ignored: true, rule: hard }
+    const parts = rel.split('/')
+    const layers = [baseRules]
+    for (let k = 0; k < parts.length; k++) layers.push(await rulesFor(parts.slice(0, k).join('/'))) // Root … parent
+    let hit = null
+    for (const rules of layers) {
+      for (const rule of rules) if (ruleMatches(rule, rel, isDir)) hit = rule // Last match wins
+    }
+    return hit ? { ignored: !hit.negate, rule: hit } : null
+  }
+
+  function dirVerdict(dir) {
+    if (!dirVerdicts.has(dir)) dirVerdicts.set(dir, verdict(dir, true))
+    return dirVerdicts.get(dir)
+  }
+
+  // { ignored, rule } from the deciding rule, or null when no rule applies.
+  async function check(relPosix, isDir = false) {
+    const rel = String(relPosix).replace(/^\/+|\/+$/g, '')
+    if (!rel) return null // Root itself
+    const parts = rel.split('/')
+    for (let k = 1; k < parts.length; k++) {
+      const v = await dirVerdict(parts.slice(0, k).join('/'))
+      if (v?.ignored) return v // Nothing inside an ignored folder comes back
+    }
+    return isDir ? dirVerdict(rel) : verdict(rel, false)
+  }
+
+  // Synchronous check against the hard rules only (e.g. for fs.watch events).
+  function isHardIgnored(relPosix) {
+    const parts = String(relPosix).replace(/^\/+|\/+$/g, '').split('/')
+    return parts.some((_, k) => !!hardMatch(parts.slice(0, k + 1).join('/'), k < parts.length - 1))
+  }
+
+  return {
+    check,
+    isIgnored: async (relPosix, isDir = false) => !!(await check(relPosix, isDir))?.ignored,
+    isHardIgnored
+  }
+}
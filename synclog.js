@@ -0,0 +1,51 @@
+// Structured sync log: one JSON object per line in userData/logs/sync.log, rotated by size into
+// sync.1.log … sync.<LOG_KEEP>.log. Entries: { t, pair, op, path, direction, result, code, message,
+// detail }, e.g. op 'download' | 'upload' | 'delete' | 'archive' | 'conflict' | 'restore' | 'run' |
+// 'login' | 'move', direction 'down' | 'up' | 'both', result 'ok' | 'error' | 'skipped' | 'queued' |
+// 'cancelled' | 'offline'. Only formats and filters here; index.js writes and rotates the files.
+
+export const LOG_FILE = 'sync.log'
+export const LOG_MAX_BYTES = 1024 * 1024 // Rotate once the current file reaches 1 MiB
+export const LOG_KEEP = 4 // Rotated files kept next to the current one
+
+// sync.log for 0, sync.<n>.log for the rotated ones (1 = newest).
+export function logFileName(n) {
+  return n ? LOG_FILE.replace(/\.log$/, `.${n}.log`) : LOG_FILE
+}
+
+// Complete entry with every field present (null when unknown), so the log is easy to grep and parse.
+export function logEntry({ pair = null, op, path = null, direction = null, result, code = null, message = null, detail = null }, now = new Date()) {
+  return { t: now.toISOString(), pair, op, path, direction, result, code: code === null ? null : String(code), message, detail }
+}
+
+// Entries of one log file, oldest first; lines that don't parse (e.g. cut off by a crash) are skipped.
+export function parseLogLines(text) {
+  const entries = []
+  for (const line of String(text).split('\n')) {
+    if (!line.trim()) continue
+    try {
+      const entry = JSON.parse(line)
+      if (entry && typeof entry === 'object' && entry.t) entries.push(entry)
+    } catch { /* Broken line */ }
+  }
+  return entries
+}
+
+// Newest first. query matches path, message, detail, code and op (case-insensitive, all words);
+// result / op / pair narrow down further. limit caps the answer for the UI.
+export function filterLogEntries(entries, { query = '', result = '', op = '', pair = '', limit = 500 } = {}) {
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean)
+  const matches = []
+  for (let i = entries.length - 1; i >= 0 && matches.length < limit; i--) {
+    const entry = entries[i]
+    if (result && entry.result !== result) continue
+    if (op && entry.op !== op) continue
+    if (pair && entry.pair !== pair) continue
+    if (words.length) {
+      const text = [entry.path, entry.message, entry.detail, entry.code, entry.op].filter(Boolean).join(' ').toLowerCase()
+      if (!words.every((word) => text.includes(word))) continue
+    }
+    matches.push(entry)
+  }
+  return matches
+}
@@ -0,0 +1,96 @@
+// Login Flow v2 against a local stub of the Nextcloud endpoints: node --test
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { loginFlowV2 } from '../loginflow.js'
+
+// Stub server; answers(n) gives the n-th poll's [status, body] (body null = nothing, status 0 =
+// connection dropped).
+async function stubServer({ answers, userStatus = 200 }) {
+  const calls = { polls: 0, user: [] }
+  const server = http.createServer((req, res) => {
+    const url = `http://127.0.0.1:${server.address().port}`
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(body ? JSON.stringify(body) : '')
+    }
+    if (req.method === 'POST' && req.url === '/index.php/login/v2') {
+      return reply(200, { poll: { token: 't0ken', endpoint: `${url}/index.php/login/v2/poll` }, login: `${url}/login/v2/flow/abc` })
+    }
+    if (req.method === 'POST' && req.url === '/index.php/login/v2/poll') {
+      const [status, body] = answers(calls.polls++, url)
+      return status ? reply(status, body) : req.socket.destroy()
+    }
+    if (req.method === 'GET' && req.url === '/ocs/v1.php/cloud/user?format=json') {
+      calls.user.push(req.headers.authorization)
+      return reply(userStatus, { ocs: { data: { id: 'u12345' } } })
+    }
+    reply(404, null)
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  return { url: `http://127.0.0.1:${server.address().port}`, calls, close: () => new Promise((resolve) => server.close(resolve)) }
+}
+
+const approved = (url) => [200, { server: url + '/', loginName: 'max@schule.de', appPassword: 'app-pw' }]
+
+test('polls until approved and resolves the user id', async () => {
+  const stub = await stubServer({ answers: (n, url) => n < 2 ? [404, null] : approved(url) })
+  const opened = []
+  try {
+    const creds = await loginFlowV2(stub.url, { openUrl: (url) => opened.push(url), pollInterval: 5 })
+    assert.deepEqual(creds, { server: stub.url, loginName: 'max@schule.de', username: 'u12345', appPassword: 'app-pw' })
+    assert.deepEqual(opened, [`${stub.url}/login/v2/flow/abc`])
+    assert.equal(stub.calls.polls, 3)
+    assert.equal(stub.calls.user[0], 'Basic ' + Buffer.from('max@schule.de:app-pw').toString('base64'))
+  } finally {
+    await stub.close()
+  }
+})
+
+test('keeps polling through network and server errors', async () => {
+  const stub = await stubServer({ answers: (n, url) => [[0, null], [503, null]][n] ?? approved(url) })
+  try {
+    const creds = await loginFlowV2(stub.url, { openUrl: () => {}, pollInterval: 5 })
+    assert.equal(creds.username, 'u12345')
+  } finally {
+    await stub.close()
+  }
+})
+
+test('gives up when the token expires', async () => {
+  const stub = await stubServer({ answers: () => [404, null] })
+  try {
+    await assert.rejects(loginFlowV2(stub.url, { openUrl: () => {}, pollInterval: 5, timeout: 60 }), /Zeitüberschreitung/)
+  } finally {
+    await stub.close()
+  }
+})
+
+test('stops on a refused flow', async () => {
+  const stub = await stubServer({ answers: () => [403, null] })
+  try {
+    await assert.rejects(loginFlowV2(stub.url, { openUrl: () => {}, pollInterval: 5 }), /HTTP 403/)
+  } finally {
+    await stub.close()
+  }
+})
+
+test('hands back the app password when the user id lookup fails', async () => {
+  const stub = await stubServer({ answers: (n, url) => approved(url), userStatus: 500 })
+  try {
+    await assert.rejects(loginFlowV2(stub.url, { openUrl: () => {}, pollInterval: 5 }), (e) => e.credentials?.appPassword === 'app-pw')
+  } finally {
+    await stub.close()
+  }
+})
+
+test('aborts while waiting', async () => {
+  const stub = await stubServer({ answers: () => [404, null] })
+  const abort = new AbortController()
+  try {
+    const flow = loginFlowV2(stub.url, { openUrl: () => setTimeout(() => abort.abort(), 20), signal: abort.signal, pollInterval: 5 })
+    await assert.rejects(flow, (e) => e.name === 'AbortError')
+  } finally {
+    await stub.close()
+  }
+})